@@ -8,119 +8,98 @@
 // 3. setInterval is throttled/paused in background tabs
 //
 // Solution:
-// - Pre-generate the alarm WAV at startup
+// - Render the tones ahead of time, in a worker, as short loopable clips
 // - Set it as the src and play+pause during user gesture (unlock)
 // - When alarm fires, just call play() — src is already set
 // - Keep a silent audio loop running to maintain audio session
-
-let alarmAudio = null;    // The alarm tone player
+// - Fade in with the element's volume, not in the WAV, so each alarm
+//   can have its own fade without touching src. iOS ignores writes to
+//   volume, so there each element plays through a Web Audio GainNode,
+//   created in the unlock tap, and the fade moves the gain instead
+// - Each tone gets its own element, with its src set once; switching
+//   tone switches element. Elements are unlocked during a user gesture —
+//   the first tap for the tones alarms already use, then Save or Preview
+//   in the editor for new ones
+// - A clip the worker hasn't delivered yet (or without workers, e.g.
+//   older iOS) is rendered right there on the page — the clips are small
+//   enough that this doesn't hold up the tap
+
+import { DEFAULT_FADE, runFade } from './fade.js';
+import { DEFAULT_TONE, CUSTOM_TONE, toneKey, renderToneWav } from './tones.js';
+import { getCustomTone } from './toneStore.js';
+
+const players = new Map(); // tone key -> <audio>, src set once
+const clips = new Map();   // tone key -> rendered WAV blob URL
+const pendingClips = new Map(); // tone key -> { promise, resolve } while the worker renders
+let toneWorker;            // undefined = not started, null = unavailable
+let activeAudio = null;    // The element ringing right now
 let keepaliveAudio = null; // Silent loop to keep audio session alive
-let alarmBlobUrl = null;
 let isUnlocked = false;
 let alarmPlaying = false;
+let stopFade = null;
+let currentTone = DEFAULT_TONE;
+let previewAudio = null;
+let audioContext = null;   // Only where element volume is read-only (iOS)
+const gains = new Map();   // <audio> -> GainNode standing in for its volume
+
+const PREVIEW_VOLUME = 0.6;
 
 // =============================================
-// WAV Generator — builds alarm tone in memory
+// Tone Clips — rendered by the worker ahead of time
 // =============================================
 
-function generateAlarmWav() {
-    const sampleRate = 44100;
-    const duration = 120; // 2 minutes
-    const numSamples = sampleRate * duration;
-    const buffer = new ArrayBuffer(44 + numSamples * 2);
-    const view = new DataView(buffer);
-
-    // WAV header
-    const writeStr = (offset, str) => {
-        for (let i = 0; i < str.length; i++)
-            view.setUint8(offset + i, str.charCodeAt(i));
-    };
-    writeStr(0, 'RIFF');
-    view.setUint32(4, 36 + numSamples * 2, true);
-    writeStr(8, 'WAVE');
-    writeStr(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);   // PCM
-    view.setUint16(22, 1, true);   // Mono
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * 2, true);
-    view.setUint16(32, 2, true);
-    view.setUint16(34, 16, true);
-    writeStr(36, 'data');
-    view.setUint32(40, numSamples * 2, true);
-
-    // ========================================
-    // Gentle ascending chime alarm
-    // Musical notes: C5 → E5 → G5 → C6
-    // Each chime has a soft attack and long decay
-    // Pattern repeats every ~3.2 seconds with a pause
-    // ========================================
-
-    const notes = [523.25, 659.25, 783.99, 1046.50]; // C5, E5, G5, C6
-    const chimeDuration = 0.45;    // Each chime rings for 450ms
-    const chimeGap = 0.12;         // 120ms between chimes
-    const chimeStep = chimeDuration + chimeGap;
-    const groupPause = 1.6;        // 1.6s pause between note groups
-    const groupDuration = chimeStep * notes.length + groupPause;
-    const patternLen = Math.floor(groupDuration * sampleRate);
-
-    const fadeInSamples = 15 * sampleRate; // 15 second gentle fade-in
-    const attackMs = 0.025; // 25ms soft attack
-    const releaseMs = 0.35; // 350ms long release (bell-like decay)
-    const attackSamples = Math.floor(attackMs * sampleRate);
-    const releaseSamples = Math.floor(releaseMs * sampleRate);
-    const chimeSamples = Math.floor(chimeDuration * sampleRate);
-
-    for (let i = 0; i < numSamples; i++) {
-        const pos = i % patternLen;
-        const t = i / sampleRate;
-        let sample = 0;
-
-        // Which chime in the group?
-        const posInGroup = pos / sampleRate;
-        const chimeIdx = Math.floor(posInGroup / chimeStep);
-        const posInChime = Math.floor((posInGroup - chimeIdx * chimeStep) * sampleRate);
-
-        if (chimeIdx < notes.length && posInChime >= 0 && posInChime < chimeSamples) {
-            const freq = notes[chimeIdx];
-            const tLocal = posInChime / sampleRate;
-
-            // Fundamental + soft harmonics for richness
-            sample = Math.sin(2 * Math.PI * freq * tLocal) * 0.65
-                + Math.sin(2 * Math.PI * freq * 2 * tLocal) * 0.20
-                + Math.sin(2 * Math.PI * freq * 3 * tLocal) * 0.10
-                + Math.sin(2 * Math.PI * freq * 4 * tLocal) * 0.05;
-
-            // Smooth attack envelope
-            if (posInChime < attackSamples) {
-                sample *= posInChime / attackSamples;
-            }
+function getToneWorker() {
+    if (toneWorker !== undefined) return toneWorker;
+    try {
+        toneWorker = new Worker(new URL('./toneWorker.js', import.meta.url), { type: 'module' });
+        toneWorker.onmessage = (e) => {
+            const { key, buffer } = e.data;
+            if (!clips.has(key)) clips.set(key, URL.createObjectURL(new Blob([buffer], { type: 'audio/wav' })));
+            pendingClips.get(key)?.resolve();
+            pendingClips.delete(key);
+        };
+        toneWorker.onerror = (e) => {
+            // e.g. no module workers — everything renders on the page instead
+            console.warn('Tone worker failed, rendering tones on the page:', e.message);
+            toneWorker.terminate();
+            toneWorker = null;
+            pendingClips.forEach(({ resolve }) => resolve());
+            pendingClips.clear();
+        };
+    } catch (err) {
+        console.warn('Tone worker unavailable:', err.message);
+        toneWorker = null;
+    }
+    return toneWorker;
+}
 
-            // Exponential decay (bell-like)
-            const decayStart = chimeSamples - releaseSamples;
-            if (posInChime > decayStart) {
-                const decayProgress = (posInChime - decayStart) / releaseSamples;
-                sample *= Math.pow(1 - decayProgress, 2); // Quadratic decay
-            }
+// Starts rendering tones in the background so they're ready by the
+// first tap. Resolves once they're done (or left to render on demand).
+export function preloadAlarmTones(tones = []) {
+    const jobs = [DEFAULT_TONE, ...tones]
+        .filter(tone => tone.preset !== CUSTOM_TONE)
+        .map(tone => {
+            const key = toneKey(tone);
+            if (clips.has(key)) return Promise.resolve();
+            if (pendingClips.has(key)) return pendingClips.get(key).promise;
+
+            const worker = getToneWorker();
+            if (!worker) return Promise.resolve();
+            let resolve;
+            const promise = new Promise(r => { resolve = r; });
+            pendingClips.set(key, { promise, resolve });
+            worker.postMessage({ key, tone });
+            return promise;
+        });
+    return Promise.all(jobs);
+}
 
-            // Overall bell envelope — gentle amplitude curve
-            const lifeRatio = posInChime / chimeSamples;
-            sample *= Math.exp(-lifeRatio * 2.5); // Natural bell decay
-        }
-
-        // Global fade-in over 15 seconds
-        let vol = i < fadeInSamples ? i / fadeInSamples : 1.0;
-        // Ease-in curve for gentler start
-        if (i < fadeInSamples) {
-            vol = vol * vol; // Quadratic ease-in
-        }
-        sample *= vol * 0.75;
-
-        view.setInt16(44 + i * 2,
-            Math.max(-32768, Math.min(32767, Math.floor(sample * 32767))), true);
+function getClipUrl(tone) {
+    const key = toneKey(tone);
+    if (!clips.has(key)) {
+        clips.set(key, URL.createObjectURL(new Blob([renderToneWav(tone)], { type: 'audio/wav' })));
     }
-
-    return URL.createObjectURL(new Blob([buffer], { type: 'audio/wav' }));
+    return clips.get(key);
 }
 
 // Tiny silent WAV for the keepalive loop
@@ -153,30 +132,68 @@ function generateSilentWav() {
 
 // =============================================
 // Audio Element Setup — CRITICAL for iOS
-// The alarm WAV is set as src ONCE and never changed
+// Each tone's element gets its src ONCE and never changes it
 // =============================================
 
-function ensureAlarmAudio() {
-    if (alarmAudio) return alarmAudio;
+function ensureAlarmAudio(tone) {
+    const custom = tone.preset === CUSTOM_TONE ? getCustomTone(tone.customId) : null;
+    // A deleted (or not yet loaded) upload rings the default instead
+    if (tone.preset === CUSTOM_TONE && !custom) return ensureAlarmAudio(DEFAULT_TONE);
 
-    // Generate alarm tone
-    if (!alarmBlobUrl) {
-        alarmBlobUrl = generateAlarmWav();
-    }
+    const key = toneKey(tone);
+    if (players.has(key)) return players.get(key);
 
     // Create audio element with alarm src set immediately
-    alarmAudio = document.createElement('audio');
-    alarmAudio.setAttribute('playsinline', '');
-    alarmAudio.setAttribute('webkit-playsinline', '');
-    alarmAudio.preload = 'auto';
-    alarmAudio.loop = true;
-    alarmAudio.volume = 1.0;
-    alarmAudio.src = alarmBlobUrl; // Set src ONCE, never change it
-    alarmAudio.load(); // Force preload
-    alarmAudio.style.display = 'none';
-    document.body.appendChild(alarmAudio);
-
-    return alarmAudio;
+    const audio = document.createElement('audio');
+    audio.setAttribute('playsinline', '');
+    audio.setAttribute('webkit-playsinline', '');
+    audio.preload = 'auto';
+    audio.loop = true;
+    audio.volume = 1.0;
+    audio.src = custom ? custom.url : getClipUrl(tone); // Set src ONCE, never change it
+    audio.load(); // Force preload
+    audio.style.display = 'none';
+    document.body.appendChild(audio);
+    if (isVolumeReadOnly(audio)) routeThroughGain(audio);
+
+    players.set(key, audio);
+    return audio;
+}
+
+// iOS accepts writes to volume but keeps it at 1
+function isVolumeReadOnly(audio) {
+    audio.volume = 0.5;
+    const readOnly = audio.volume !== 0.5;
+    audio.volume = 1.0;
+    return readOnly;
+}
+
+function routeThroughGain(audio) {
+    try {
+        audioContext ||= new (window.AudioContext || window.webkitAudioContext)();
+        const gain = audioContext.createGain();
+        audioContext.createMediaElementSource(audio).connect(gain).connect(audioContext.destination);
+        gains.set(audio, gain);
+    } catch (err) {
+        console.warn('Web Audio unavailable, the chime will not fade:', err.message);
+    }
+}
+
+// A context created or suspended outside a tap starts silent
+function resumeAudioContext() {
+    if (audioContext && audioContext.state !== 'running') {
+        audioContext.resume().catch(e => console.warn('Audio context resume failed:', e.message));
+    }
+}
+
+function setVolume(audio, volume) {
+    const gain = gains.get(audio);
+    if (gain) gain.gain.value = volume;
+    else audio.volume = volume;
+}
+
+function getVolume(audio) {
+    return gains.get(audio)?.gain.value ?? audio.volume;
 }
 
 function ensureKeepaliveAudio() {
@@ -203,29 +220,12 @@ function ensureKeepaliveAudio() {
 // different file), and start the silent keepalive.
 // =============================================
 
-export function unlockAudio() {
+export function unlockAudio(tones = []) {
     if (isUnlocked) return;
 
-    const alarm = ensureAlarmAudio();
+    [DEFAULT_TONE, ...tones].forEach(prepareAlarmTone);
     const keepalive = ensureKeepaliveAudio();
 
-    // Mute before playing — iOS needs a play() call to "register" the
-    // audio element, but the user shouldn't hear anything yet
-    alarm.volume = 0;
-
-    const p1 = alarm.play();
-    if (p1) {
-        p1.then(() => {
-            alarm.pause();
-            alarm.currentTime = 0;
-            alarm.volume = 1.0; // Restore volume for real alarm
-            console.log('🔊 Alarm audio unlocked (iOS)');
-        }).catch(e => {
-            alarm.volume = 1.0;
-            console.warn('Alarm unlock attempt failed:', e.message);
-        });
-    }
-
     // Start silent keepalive loop to maintain audio session
     const p2 = keepalive.play();
     if (p2) {
@@ -239,43 +239,138 @@ export function unlockAudio() {
     isUnlocked = true;
 }
 
+// Creates and unlocks a tone's element — call during a user gesture,
+// e.g. when an alarm with a new tone is saved
+export function prepareAlarmTone(tone) {
+    const audio = ensureAlarmAudio(tone);
+    resumeAudioContext();
+    if (audio === activeAudio || audio === previewAudio || audio.dataset.unlocked) return;
+
+    // Mute before playing — iOS needs a play() call to "register" the
+    // audio element, but the user shouldn't hear anything yet
+    setVolume(audio, 0);
+
+    const p1 = audio.play();
+    if (p1) {
+        p1.then(() => {
+            if (audio === activeAudio || audio === previewAudio) return;
+            audio.pause();
+            audio.currentTime = 0;
+            setVolume(audio, 1.0); // Restore volume for real alarm
+            audio.dataset.unlocked = 'true';
+            console.log('🔊 Alarm audio unlocked (iOS)');
+        }).catch(e => {
+            setVolume(audio, 1.0);
+            console.warn('Alarm unlock attempt failed:', e.message);
+        });
+    }
+}
+
 // =============================================
 // Play / Stop Alarm
 // Since src is already set, just play() — iOS allows it
 // =============================================
 
-export function playAlarmSound() {
-    const alarm = ensureAlarmAudio();
-    alarm.currentTime = 0;
-    alarm.volume = 1.0;
-    alarm.loop = true;
+export function playAlarmSound(fade = DEFAULT_FADE) {
+    stopTonePreview();
+    startTone(ensureAlarmAudio(currentTone), fade);
+    alarmPlaying = true;
+    return true;
+}
+
+function startTone(audio, fade) {
+    if (activeAudio && activeAudio !== audio) {
+        activeAudio.pause();
+        activeAudio.currentTime = 0;
+    }
+    activeAudio = audio;
+    audio.currentTime = 0;
+    audio.loop = true;
+
+    if (stopFade) stopFade();
+    resumeAudioContext();
+    stopFade = runFade(fade, volume => setVolume(audio, volume));
 
-    const p = alarm.play();
+    const p = audio.play();
     if (p) {
         p.then(() => {
             console.log('🔔 Alarm sound playing!');
-            alarmPlaying = true;
         }).catch(e => {
             console.error('❌ Alarm play failed:', e.message);
+            if (!alarmPlaying || activeAudio !== audio) return;
+            // A tone that was never unlocked can't start on iOS —
+            // the default one was unlocked on the first tap
+            const fallback = ensureAlarmAudio(DEFAULT_TONE);
+            if (audio !== fallback) {
+                startTone(fallback, fade);
+                return;
+            }
             // Last resort: try again
             setTimeout(() => {
-                alarm.play().catch(() => { });
+                audio.play().catch(() => { });
             }, 100);
         });
     }
-
-    alarmPlaying = true;
-    return true;
 }
 
 export function stopAlarmSound() {
-    if (alarmAudio) {
-        alarmAudio.pause();
-        alarmAudio.currentTime = 0;
+    if (stopFade) {
+        stopFade();
+        stopFade = null;
+    }
+    if (activeAudio) {
+        activeAudio.pause();
+        activeAudio.currentTime = 0;
+        activeAudio = null;
     }
     alarmPlaying = false;
 }
 
+// Escalation: skip the rest of the fade and go to full volume
+export function boostAlarmSound() {
+    if (stopFade) {
+        stopFade();
+        stopFade = null;
+    }
+    if (activeAudio) setVolume(activeAudio, 1.0);
+}
+
+// Sets the tone the next playAlarmSound() uses. Switches live, at the
+// same volume, if the alarm sound is already playing.
+export function setAlarmTone(tone) {
+    if (toneKey(tone) === toneKey(currentTone)) return;
+    currentTone = tone;
+    if (!alarmPlaying || !activeAudio) return;
+
+    const volume = Math.round(getVolume(activeAudio) * 100);
+    startTone(ensureAlarmAudio(tone), { ...DEFAULT_FADE, duration: 0, maxVolume: volume });
+}
+
+// --- Editor Preview ---
+
+// Plays a tone at a moderate volume; also unlocks it, being a tap
+export function previewTone(tone) {
+    if (alarmPlaying) return false;
+    stopTonePreview();
+    previewAudio = ensureAlarmAudio(tone);
+    resumeAudioContext();
+    previewAudio.currentTime = 0;
+    setVolume(previewAudio, PREVIEW_VOLUME);
+    const audio = previewAudio;
+    audio.play()
+        .then(() => { audio.dataset.unlocked = 'true'; })
+        .catch(e => console.warn('Tone preview failed:', e.message));
+    return true;
+}
+
+export function stopTonePreview() {
+    if (!previewAudio) return;
+    previewAudio.pause();
+    previewAudio.currentTime = 0;
+    setVolume(previewAudio, 1.0);
+    previewAudio = null;
+}
+
 export function isAlarmSoundPlaying() {
     return alarmPlaying;
 }
@@ -284,18 +379,18 @@ export function isAlarmSoundPlaying() {
 // Spotify Deep Link (mobile fallback)
 // =============================================
 
-export function openSpotifyDeepLink(trackUri) {
-    if (!trackUri) return;
-    const trackId = trackUri.split(':')[2];
-    if (!trackId) return;
+export function openSpotifyDeepLink(uri) {
+    if (!uri) return;
+    const [, type, id] = uri.split(':');
+    if (!type || !id) return;
 
     const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
     if (isMobile) {
-        window.location.href = `spotify:track:${trackId}`;
+        window.location.href = `spotify:${type}:${id}`;
         setTimeout(() => {
-            window.open(`https://open.spotify.com/track/${trackId}`, '_blank');
+            window.open(`https://open.spotify.com/${type}/${id}`, '_blank');
         }, 2500);
     } else {
-        window.open(`https://open.spotify.com/track/${trackId}`, '_blank');
+        window.open(`https://open.spotify.com/${type}/${id}`, '_blank');
     }
 }
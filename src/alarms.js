@@ -2,30 +2,92 @@
 // Alarm Engine — CRUD + Scheduling
 // ============================================
 
-import { playTrack, pausePlayback } from './spotify.js';
-
-const ALARMS_KEY = 'wakewave_alarms';
+import { startPlayback, pausePlayback } from './spotify.js';
+import { getFade } from './fade.js';
+import { ROTATION_MODES } from './rotation.js';
+import { loadAlarmRecords, saveAlarmRecords, ALARMS_KEY, QUARANTINE_KEY } from './storage.js';
+
+const SNOOZES_KEY = 'wakewave_snoozes';
+const LAST_CHECK_KEY = 'wakewave_last_check';
+const MISSED_KEY = 'wakewave_missed';
+const GRACE_KEY = 'wakewave_grace_minutes';
+const DEFAULT_GRACE_MINUTES = 10;
+const MAX_CATCH_UP_MS = 24 * 60 * 60 * 1000; // Never look back further than a day
+const MAX_MISSED = 20;
+const HOLIDAYS_KEY = 'wakewave_holidays';
+const PAUSE_KEY = 'wakewave_pause_until';
+const GROUPS_KEY = 'wakewave_groups';
+const MAX_LOOKAHEAD_DAYS = 400; // Far enough for any monthly rule to come round
 const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
 let checkInterval = null;
 let onAlarmTrigger = null;
-let snoozedAlarms = new Map(); // alarmId -> snooze time
+let snoozedAlarms = loadSnoozes(); // alarmId -> snooze time
+let lastCheckTime = Date.now();
+let pausedAtLastCheck = false;
+const changeListeners = new Set();
 
 // --- Storage ---
 
 function loadAlarms() {
+    return loadAlarmRecords();
+}
+
+function saveAlarms(alarms) {
+    saveAlarmRecords(alarms);
+    notifyChange(ALARMS_KEY);
+}
+
+function loadSnoozes() {
     try {
-        const data = localStorage.getItem(ALARMS_KEY);
-        return data ? JSON.parse(data) : [];
+        const data = localStorage.getItem(SNOOZES_KEY);
+        return new Map(data ? Object.entries(JSON.parse(data)) : []);
     } catch {
-        return [];
+        return new Map();
     }
 }
 
-function saveAlarms(alarms) {
-    localStorage.setItem(ALARMS_KEY, JSON.stringify(alarms));
+function saveSnoozes() {
+    localStorage.setItem(SNOOZES_KEY, JSON.stringify(Object.fromEntries(snoozedAlarms)));
+    notifyChange(SNOOZES_KEY);
+}
+
+function loadLastCheck() {
+    const value = parseInt(localStorage.getItem(LAST_CHECK_KEY));
+    return isNaN(value) ? Date.now() : value;
+}
+
+function saveLastCheck(time) {
+    localStorage.setItem(LAST_CHECK_KEY, String(time));
+}
+
+// --- Change Events ---
+// Listeners hear about every store change: `remote` is true when it came
+// from another tab (via the `storage` event), false for this tab's own
+
+const SYNCED_KEYS = [ALARMS_KEY, QUARANTINE_KEY, SNOOZES_KEY, GROUPS_KEY, PAUSE_KEY, MISSED_KEY, HOLIDAYS_KEY];
+
+export function onAlarmsChanged(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+}
+
+function notifyChange(key, remote = false) {
+    // Copy first — listeners that re-render re-subscribe while we iterate
+    [...changeListeners].forEach(listener => listener({ key, remote }));
 }
 
+window.addEventListener('storage', (e) => {
+    // key is null when another tab cleared all of storage
+    if (e.key !== null && !SYNCED_KEYS.includes(e.key)) return;
+
+    // Adopt the other tab's snoozes so our next save doesn't clobber them
+    if (e.key === SNOOZES_KEY || e.key === null) {
+        snoozedAlarms = loadSnoozes();
+    }
+    notifyChange(e.key, true);
+});
+
 // --- CRUD ---
 
 export function getAlarms() {
@@ -45,18 +107,52 @@ export function createAlarm({
     trackImage = '',
     enabled = true,
     days = [],
+    recurrence = null,
+    groupId = null,
+    timeZone = null,
+    shuffle = false,
+    startOffset = null,
+    sourceSize = 0,
+    pool = null,
+    rotation = 'random',
+    played = [],
+    nextPoolIndex = 0,
+    fade = null,
+    devices = [],
+    startPosition = 0,
+    loopEnd = null,
+    escalation = null,
+    tone = null,
 }) {
     const alarms = loadAlarms();
     const alarm = {
         id: crypto.randomUUID(),
         time, // "HH:MM" format
         label,
-        trackUri,
+        trackUri, // A track, episode or context (playlist, album, artist, podcast)
         trackName,
         trackArtist,
         trackImage,
         enabled,
         days, // [0-6] for Sun-Sat, empty = one-time
+        recurrence, // See getRecurrence() — null falls back to `days`
+        groupId, // null = ungrouped
+        timeZone, // IANA zone the time is pinned to, null = device time
+        shuffle, // Contexts only
+        startOffset, // 0-based position to start a context at, null = beginning
+        sourceSize, // Items in the context when it was picked
+        // Everything the alarm rotates through — the track* fields above
+        // hold the current pick. See rotatePool().
+        pool: pool ?? (trackUri ? [{ uri: trackUri, name: trackName, artist: trackArtist, image: trackImage, size: sourceSize }] : []),
+        rotation, // 'random' | 'roundRobin' | 'noRepeat'
+        played, // noRepeat: uris already played this cycle
+        nextPoolIndex, // What the next scheduled ring will pick
+        fade, // See getFade() — null uses the default fade
+        devices, // [{ id, name, type }] tried in order before any other device
+        startPosition, // ms into the song to start at
+        loopEnd, // ms to loop back to startPosition at, null = play on
+        escalation, // See getEscalation() — null = no escalation
+        tone, // Fallback tone, see getTone() — null = gentle chime
         createdAt: Date.now(),
     };
     alarms.push(alarm);
@@ -76,7 +172,7 @@ export function updateAlarm(id, updates) {
 export function deleteAlarm(id) {
     const alarms = loadAlarms().filter(a => a.id !== id);
     saveAlarms(alarms);
-    snoozedAlarms.delete(id);
+    if (snoozedAlarms.delete(id)) saveSnoozes();
 }
 
 export function toggleAlarm(id) {
@@ -85,15 +181,93 @@ export function toggleAlarm(id) {
     if (!alarm) return;
     alarm.enabled = !alarm.enabled;
     saveAlarms(alarms);
+    // Turning an alarm off also drops any pending snooze for it
+    if (!alarm.enabled && snoozedAlarms.delete(id)) saveSnoozes();
     return alarm;
 }
 
+// --- Groups ---
+// Named sets of alarms ("Work week", "Gym days") that can be switched
+// on and off together
+
+function loadGroups() {
+    try {
+        const data = localStorage.getItem(GROUPS_KEY);
+        return data ? JSON.parse(data) : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveGroups(groups) {
+    localStorage.setItem(GROUPS_KEY, JSON.stringify(groups));
+    notifyChange(GROUPS_KEY);
+}
+
+export function getGroups() {
+    return loadGroups();
+}
+
+export function createGroup(name) {
+    const groups = loadGroups();
+    const group = {
+        id: crypto.randomUUID(),
+        name: name.trim(),
+        createdAt: Date.now(),
+    };
+    groups.push(group);
+    saveGroups(groups);
+    return group;
+}
+
+export function renameGroup(id, name) {
+    const groups = loadGroups();
+    const group = groups.find(g => g.id === id);
+    if (!group) return null;
+    group.name = name.trim();
+    saveGroups(groups);
+    return group;
+}
+
+// Deleting a group keeps its alarms, they just become ungrouped
+export function deleteGroup(id) {
+    saveGroups(loadGroups().filter(g => g.id !== id));
+    const alarms = loadAlarms();
+    alarms.forEach(a => {
+        if (a.groupId === id) a.groupId = null;
+    });
+    saveAlarms(alarms);
+}
+
+export function setGroupEnabled(groupId, enabled) {
+    const alarms = loadAlarms();
+    let changed = false;
+    for (const alarm of alarms) {
+        if (alarm.groupId !== groupId || alarm.enabled === enabled) continue;
+        alarm.enabled = enabled;
+        changed = true;
+        if (!enabled) snoozedAlarms.delete(alarm.id);
+    }
+    if (!changed) return;
+    saveAlarms(alarms);
+    saveSnoozes();
+}
+
 // --- Scheduling ---
 
 export function startAlarmChecker(triggerCallback) {
     onAlarmTrigger = triggerCallback;
     if (checkInterval) clearInterval(checkInterval);
 
+    // Restore snoozes from storage — any that expired while the page
+    // was closed fire right away
+    snoozedAlarms = loadSnoozes();
+
+    // Pick up where the last session stopped checking, so alarms that
+    // came due while the page was closed are caught up or marked missed
+    lastCheckTime = loadLastCheck();
+    checkAlarms();
+
     // Check every second
     checkInterval = setInterval(() => {
         checkAlarms();
@@ -107,70 +281,233 @@ export function stopAlarmChecker() {
     }
 }
 
-let lastTriggeredKey = '';
-let lastMinuteKey = '';
+function checkSnoozes() {
+    if (snoozedAlarms.size === 0 || isPaused()) return;
 
-function checkAlarms() {
-    const now = new Date();
-    const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-    const currentDay = now.getDay();
-    const currentSeconds = now.getSeconds();
-    // Use full date to prevent cross-day collisions
-    const dateStr = `${now.getFullYear()}-${now.getMonth()}-${now.getDate()}`;
-    const minuteKey = `${currentTime}-${dateStr}`;
-    const triggerKey = `${minuteKey}-${currentDay}`;
+    const now = Date.now();
+    const alarms = loadAlarms();
 
-    // Reset lastTriggeredKey when we enter a new minute
-    if (minuteKey !== lastMinuteKey) {
-        lastMinuteKey = minuteKey;
-        lastTriggeredKey = '';
+    for (const [alarmId, snoozeTime] of snoozedAlarms) {
+        if (snoozeTime > now) continue;
+
+        snoozedAlarms.delete(alarmId);
+        saveSnoozes();
+
+        const alarm = alarms.find(a => a.id === alarmId);
+        if (alarm && onAlarmTrigger) onAlarmTrigger(alarm);
     }
+}
 
-    // Only trigger at second 0 of the matching minute, and only once
-    if (currentSeconds !== 0) return;
-    if (triggerKey === lastTriggeredKey) return;
+function checkAlarms() {
+    // A pause runs out without anyone touching the store, so say so here
+    const paused = isPaused();
+    if (pausedAtLastCheck && !paused) notifyChange(PAUSE_KEY);
+    pausedAtLastCheck = paused;
+
+    // Snoozes fire on their exact timestamp, not just at second 0
+    checkSnoozes();
+
+    // Evaluate everything that came due since the previous check, so a
+    // throttled tab or a sleeping laptop can't skip past an alarm
+    const now = Date.now();
+    const since = Math.max(lastCheckTime, now - MAX_CATCH_UP_MS);
+    lastCheckTime = now;
+    saveLastCheck(now);
+
+    // Clock moved backwards — nothing can have come due
+    if (since >= now) return;
 
+    // Vacation mode: everything due during the pause is skipped, not missed
+    if (isPaused()) return;
+
+    const graceMs = getGraceMinutes() * 60 * 1000;
     const alarms = loadAlarms();
 
     for (const alarm of alarms) {
         if (!alarm.enabled) continue;
 
-        // Check snooze
-        const snoozeTime = snoozedAlarms.get(alarm.id);
-        if (snoozeTime) {
-            const snoozeDate = new Date(snoozeTime);
-            const snoozeTimeStr = `${snoozeDate.getHours().toString().padStart(2, '0')}:${snoozeDate.getMinutes().toString().padStart(2, '0')}`;
-            if (currentTime === snoozeTimeStr) {
-                snoozedAlarms.delete(alarm.id);
-                lastTriggeredKey = triggerKey;
-                if (onAlarmTrigger) onAlarmTrigger(alarm);
-                return;
+        // Skip normal check if snoozed
+        if (snoozedAlarms.has(alarm.id)) continue;
+
+        let due = getOccurrencesBetween(alarm, since, now);
+        if (due.length === 0) continue;
+
+        // Disable one-time alarms after triggering
+        if (isOneTime(alarm)) {
+            updateAlarm(alarm.id, { enabled: false });
+            due = due.slice(-1);
+        }
+
+        for (const occurrence of due) {
+            if (now - occurrence <= graceMs) {
+                // Picked here rather than at playback so a snooze replays the same song
+                if (onAlarmTrigger) onAlarmTrigger(rotatePool(alarm.id) || alarm);
+            } else {
+                recordMissedAlarm(alarm, occurrence);
             }
-            continue; // Skip normal check if snoozed
         }
+    }
+}
 
-        // Check time match
-        if (alarm.time !== currentTime) continue;
+// Timestamps in (start, end] at which the alarm was scheduled to ring
+function getOccurrencesBetween(alarm, start, end) {
+    const [hours, minutes] = alarm.time.split(':').map(Number);
+    const rule = getRecurrence(alarm);
+    const timeZone = getAlarmTimeZone(alarm);
+    const holidays = getHolidays();
+    const occurrences = [];
 
-        // Check day match (empty days = every day / one-time)
-        if (alarm.days.length > 0 && !alarm.days.includes(currentDay)) continue;
+    // Walk calendar days in the alarm's own time zone
+    const day = calendarDay(start, timeZone);
+    const lastDay = calendarDay(end, timeZone);
 
-        // Trigger!
-        lastTriggeredKey = triggerKey;
+    while (day <= lastDay) {
+        const t = zonedTime(day, hours, minutes, timeZone);
 
-        // If no repeat days, disable after triggering (one-time alarm)
-        if (alarm.days.length === 0) {
-            updateAlarm(alarm.id, { enabled: false });
+        // Never count occurrences from before the alarm existed
+        if (t > start && t <= end && t > (alarm.createdAt || 0) && occursOn(rule, day, holidays)) {
+            occurrences.push(t);
         }
 
-        if (onAlarmTrigger) onAlarmTrigger(alarm);
-        return; // Only trigger one alarm at a time
+        day.setDate(day.getDate() + 1);
+    }
+
+    return occurrences;
+}
+
+// --- Song Pool ---
+//
+// Each scheduled ring takes the pool item at nextPoolIndex as the current
+// pick and chooses the one after it up front, so the alarm card can show
+// what's coming next.
+
+// What rotatePool() rewrites on every ring, as opposed to the user's edits
+export const ROTATION_STATE_FIELDS = ['played', 'nextPoolIndex', 'trackUri', 'trackName', 'trackArtist', 'trackImage', 'sourceSize'];
+
+// Fields for a new or edited pool. Keeps the upcoming pick (and the
+// no-repeat history) for items that are still in the pool.
+export function getPoolFields(pool, rotation = 'random', previous = null) {
+    // Anything else would be quarantined on the next load
+    if (!ROTATION_MODES.includes(rotation)) rotation = 'random';
+    const upcomingUri = previous?.pool?.[previous.nextPoolIndex]?.uri;
+    let nextPoolIndex = pool.findIndex(item => item.uri === upcomingUri);
+    if (nextPoolIndex === -1) {
+        nextPoolIndex = rotation === 'roundRobin' ? 0 : randomIndex(pool.length);
+    }
+    const played = rotation === 'noRepeat' && previous?.rotation === 'noRepeat'
+        ? previous.played.filter(uri => pool.some(item => item.uri === uri))
+        : [];
+
+    return { pool, rotation, played, nextPoolIndex, ...toPickFields(pool[nextPoolIndex]) };
+}
+
+export function getUpcomingPick(alarm) {
+    return alarm.pool[alarm.nextPoolIndex] || alarm.pool[0] || null;
+}
+
+function rotatePool(alarmId) {
+    const alarm = getAlarm(alarmId);
+    if (!alarm || alarm.pool.length < 2) return alarm;
+
+    const { pool, rotation } = alarm;
+    const current = alarm.nextPoolIndex < pool.length ? alarm.nextPoolIndex : 0;
+    let played = rotation === 'noRepeat' ? [...alarm.played, pool[current].uri] : [];
+    if (pool.every(item => played.includes(item.uri))) {
+        // Everything has played — start a new cycle
+        played = [];
+    }
+
+    let nextPoolIndex;
+    if (rotation === 'roundRobin') {
+        nextPoolIndex = (current + 1) % pool.length;
+    } else {
+        // Never the same song twice in a row
+        const candidates = pool
+            .map((item, i) => i)
+            .filter(i => i !== current && !played.includes(pool[i].uri));
+        nextPoolIndex = candidates[randomIndex(candidates.length)];
+    }
+
+    console.log(`🎲 Picked "${pool[current].name}" — next up: "${pool[nextPoolIndex].name}"`);
+    return updateAlarm(alarmId, { played, nextPoolIndex, ...toPickFields(pool[current]) });
+}
+
+function toPickFields(item) {
+    return {
+        trackUri: item?.uri || '',
+        trackName: item?.name || '',
+        trackArtist: item?.artist || '',
+        trackImage: item?.image || '',
+        sourceSize: item?.size || 0,
+    };
+}
+
+function randomIndex(length) {
+    return Math.floor(Math.random() * length);
+}
+
+// --- Missed Alarms ---
+
+function recordMissedAlarm(alarm, scheduledAt) {
+    const missed = getMissedAlarms();
+    missed.push({
+        id: crypto.randomUUID(),
+        alarmId: alarm.id,
+        label: alarm.label,
+        time: alarm.time,
+        scheduledAt,
+        recordedAt: Date.now(),
+    });
+    saveMissedAlarms(missed.slice(-MAX_MISSED));
+    console.warn('⏰ Alarm missed:', alarm.label || alarm.time, new Date(scheduledAt));
+}
+
+export function getMissedAlarms() {
+    try {
+        const data = localStorage.getItem(MISSED_KEY);
+        return data ? JSON.parse(data) : [];
+    } catch {
+        return [];
     }
 }
 
-export async function triggerAlarmPlayback(alarm) {
+function saveMissedAlarms(missed) {
+    localStorage.setItem(MISSED_KEY, JSON.stringify(missed));
+    notifyChange(MISSED_KEY);
+}
+
+export function dismissMissedAlarm(id) {
+    saveMissedAlarms(getMissedAlarms().filter(m => m.id !== id));
+}
+
+export function clearMissedAlarms() {
+    localStorage.removeItem(MISSED_KEY);
+    notifyChange(MISSED_KEY);
+}
+
+// How late an alarm may still ring before it counts as missed
+export function getGraceMinutes() {
+    const value = parseInt(localStorage.getItem(GRACE_KEY));
+    return isNaN(value) ? DEFAULT_GRACE_MINUTES : value;
+}
+
+export function setGraceMinutes(minutes) {
+    localStorage.setItem(GRACE_KEY, String(minutes));
+}
+
+export async function triggerAlarmPlayback(alarm, { exclude = [], signal = null } = {}) {
     if (alarm.trackUri) {
-        return await playTrack(alarm.trackUri);
+        return await startPlayback(alarm.trackUri, {
+            shuffle: alarm.shuffle,
+            offset: alarm.startOffset,
+            size: alarm.sourceSize,
+            fade: getFade(alarm),
+            devices: alarm.devices,
+            position: alarm.startPosition,
+            loopEnd: alarm.loopEnd,
+            exclude,
+            signal,
+        });
     }
     return false;
 }
@@ -178,13 +515,56 @@ export async function triggerAlarmPlayback(alarm) {
 export function snoozeAlarm(alarmId, minutes = 5) {
     const snoozeTime = Date.now() + minutes * 60 * 1000;
     snoozedAlarms.set(alarmId, snoozeTime);
-    pausePlayback();
+    saveSnoozes();
+    return pausePlayback();
+}
+
+export function cancelSnooze(alarmId) {
+    if (snoozedAlarms.delete(alarmId)) saveSnoozes();
+}
+
+export function getSnoozeTime(alarmId) {
+    return snoozedAlarms.get(alarmId) || null;
 }
 
 export async function dismissAlarm() {
     await pausePlayback();
 }
 
+// --- Pause All (vacation mode) ---
+// A global pause that leaves each alarm's own `enabled` flag untouched
+
+export function getPauseUntil() {
+    const value = parseInt(localStorage.getItem(PAUSE_KEY));
+    if (isNaN(value)) return null;
+    // Resume on our own once the date has passed
+    if (value <= Date.now()) {
+        localStorage.removeItem(PAUSE_KEY);
+        return null;
+    }
+    return value;
+}
+
+export function isPaused() {
+    return getPauseUntil() !== null;
+}
+
+export function pauseAlarmsUntil(time) {
+    localStorage.setItem(PAUSE_KEY, String(time));
+    notifyChange(PAUSE_KEY);
+    // Snoozes due during the pause would otherwise ring the moment it ends —
+    // later ones still ring as planned
+    for (const [alarmId, snoozeTime] of snoozedAlarms) {
+        if (snoozeTime <= time) snoozedAlarms.delete(alarmId);
+    }
+    saveSnoozes();
+}
+
+export function resumeAlarms() {
+    localStorage.removeItem(PAUSE_KEY);
+    notifyChange(PAUSE_KEY);
+}
+
 // --- Helpers ---
 
 export function getNextAlarmTime(alarms) {
@@ -192,31 +572,16 @@ export function getNextAlarmTime(alarms) {
     if (enabled.length === 0) return null;
 
     const now = new Date();
+    const holidays = getHolidays();
+    // Nothing rings before a pause ends (an alarm right at the end does)
+    const pauseUntil = getPauseUntil();
+    const from = pauseUntil ? new Date(pauseUntil - 1) : now;
     let closest = null;
     let closestDiff = Infinity;
 
     for (const alarm of enabled) {
-        const [hours, minutes] = alarm.time.split(':').map(Number);
-        const alarmDate = new Date(now);
-        alarmDate.setHours(hours, minutes, 0, 0);
-
-        if (alarmDate <= now) {
-            alarmDate.setDate(alarmDate.getDate() + 1);
-        }
-
-        // If has specific days, find the next matching day
-        if (alarm.days.length > 0) {
-            for (let i = 0; i < 7; i++) {
-                const checkDate = new Date(now);
-                checkDate.setDate(checkDate.getDate() + i);
-                checkDate.setHours(hours, minutes, 0, 0);
-                if (checkDate <= now) continue;
-                if (alarm.days.includes(checkDate.getDay())) {
-                    alarmDate.setTime(checkDate.getTime());
-                    break;
-                }
-            }
-        }
+        const alarmDate = getNextOccurrence(alarm, from, holidays);
+        if (!alarmDate) continue;
 
         const diff = alarmDate - now;
         if (diff < closestDiff) {
@@ -228,13 +593,381 @@ export function getNextAlarmTime(alarms) {
     return closest;
 }
 
+// First time after `after` that the alarm is scheduled to ring, or null
+export function getNextOccurrence(alarm, after = new Date(), holidays = getHolidays()) {
+    const [hours, minutes] = alarm.time.split(':').map(Number);
+    const rule = getRecurrence(alarm);
+    const timeZone = getAlarmTimeZone(alarm);
+
+    const day = calendarDay(after.getTime(), timeZone);
+
+    for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+        const t = zonedTime(day, hours, minutes, timeZone);
+        if (t > after && occursOn(rule, day, holidays)) {
+            return new Date(t);
+        }
+        day.setDate(day.getDate() + 1);
+    }
+
+    return null;
+}
+
 export function formatTimeUntil(ms) {
     const hours = Math.floor(ms / (1000 * 60 * 60));
     const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
+    if (hours >= 24) {
+        return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+    }
     if (hours > 0) {
         return `${hours}h ${minutes}m`;
     }
     return `${minutes}m`;
 }
 
+// e.g. "Monday 07:00", with the date added when it's over a week away
+export function formatPauseUntil(time) {
+    const date = new Date(time);
+    const weekAway = date - Date.now() > 6 * 24 * 60 * 60 * 1000;
+    const day = date.toLocaleDateString('en-US', weekAway
+        ? { weekday: 'long', month: 'short', day: 'numeric' }
+        : { weekday: 'long' });
+    const clock = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+    return `${day} ${clock}`;
+}
+
+// --- Recurrence ---
+//
+// Recurrence rules are a small RRULE subset:
+//   freq        'once' | 'daily' | 'weekly' | 'monthly'     (FREQ)
+//   interval    every N days / weeks / months                (INTERVAL)
+//   byDay       [0-6] for Sun-Sat                            (BYDAY)
+//   bySetPos    1-4 or -1 — nth matching day of the month    (BYSETPOS)
+//   byMonthDay  1-31 or -1 for the last day                  (BYMONTHDAY)
+//   start       'YYYY-MM-DD' — first eligible day, and the
+//               calendar date of a one-time alarm            (DTSTART)
+//   skipHolidays  never ring on a date in the holiday list
+//   exDates     ['YYYY-MM-DD'] — skipped dates for this alarm  (EXDATE)
+//
+// A one-time rule without a start date rings the next time its
+// clock time comes round, like the original `days: []` alarms.
+
+const DEFAULT_RECURRENCE = {
+    freq: 'once',
+    interval: 1,
+    byDay: [],
+    bySetPos: null,
+    byMonthDay: null,
+    start: '',
+    skipHolidays: false,
+    exDates: [],
+};
+
+const SET_POS_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', [-1]: 'last' };
+
+export function getRecurrence(alarm) {
+    if (alarm.recurrence) {
+        return { ...DEFAULT_RECURRENCE, ...alarm.recurrence };
+    }
+    // Alarms saved before recurrence rules only have a weekday set
+    if (alarm.days?.length > 0) {
+        return { ...DEFAULT_RECURRENCE, freq: 'weekly', byDay: [...alarm.days] };
+    }
+    return { ...DEFAULT_RECURRENCE };
+}
+
+// Skip the next scheduled ring of a repeating alarm by adding its
+// date to the alarm's exceptions
+export function skipNextOccurrence(id) {
+    const alarm = getAlarm(id);
+    if (!alarm || isOneTime(alarm)) return null;
+
+    const next = getNextOccurrence(alarm);
+    if (!next) return null;
+
+    const rule = getRecurrence(alarm);
+    const today = toDateKey(new Date());
+    // Past exceptions can never apply again, so drop them
+    const nextDay = toDateKey(calendarDay(next.getTime(), getAlarmTimeZone(alarm)));
+    const exDates = [...rule.exDates.filter(d => d >= today), nextDay].sort();
+    return updateAlarm(id, { recurrence: { ...rule, exDates } });
+}
+
+// Upcoming skipped dates, soonest first
+export function getUpcomingExceptions(alarm) {
+    const today = toDateKey(new Date());
+    return getRecurrence(alarm).exDates.filter(d => d >= today).sort();
+}
+
+export function isOneTime(alarm) {
+    return getRecurrence(alarm).freq === 'once';
+}
+
+function occursOn(rule, day, holidays) {
+    const start = rule.start ? parseDateKey(rule.start) : null;
+    if (start && day < start) return false;
+    if (rule.exDates.includes(toDateKey(day))) return false;
+    if (rule.skipHolidays && holidays.includes(toDateKey(day))) return false;
+
+    const interval = Math.max(1, rule.interval || 1);
+
+    switch (rule.freq) {
+        case 'once':
+            return !start || toDateKey(day) === rule.start;
+
+        case 'daily':
+            return !start || daysBetween(start, day) % interval === 0;
+
+        case 'weekly': {
+            const byDay = rule.byDay.length > 0 ? rule.byDay : [(start || day).getDay()];
+            if (!byDay.includes(day.getDay())) return false;
+            if (!start) return true;
+            const weeks = Math.floor(daysBetween(startOfWeek(start), startOfWeek(day)) / 7);
+            return weeks % interval === 0;
+        }
+
+        case 'monthly': {
+            if (start) {
+                const months = (day.getFullYear() - start.getFullYear()) * 12 + day.getMonth() - start.getMonth();
+                if (months % interval !== 0) return false;
+            }
+            if (rule.bySetPos) {
+                return matchesSetPos(rule, day);
+            }
+            const monthDay = rule.byMonthDay || (start ? start.getDate() : 1);
+            if (monthDay === -1) {
+                return day.getDate() === daysInMonth(day);
+            }
+            return day.getDate() === monthDay;
+        }
+
+        default:
+            return false;
+    }
+}
+
+// e.g. "first weekday of the month" = byDay Mon-Fri, bySetPos 1
+function matchesSetPos(rule, day) {
+    const candidates = [];
+    for (let d = 1; d <= daysInMonth(day); d++) {
+        const weekday = new Date(day.getFullYear(), day.getMonth(), d).getDay();
+        if (rule.byDay.length === 0 || rule.byDay.includes(weekday)) {
+            candidates.push(d);
+        }
+    }
+    const pick = rule.bySetPos > 0
+        ? candidates[rule.bySetPos - 1]
+        : candidates[candidates.length + rule.bySetPos];
+    return pick === day.getDate();
+}
+
+export function describeRecurrence(alarm) {
+    const rule = getRecurrence(alarm);
+    const interval = Math.max(1, rule.interval || 1);
+    let text;
+
+    switch (rule.freq) {
+        case 'once':
+            text = rule.start
+                ? `Once on ${parseDateKey(rule.start).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}`
+                : 'Once';
+            break;
+
+        case 'daily':
+            text = interval === 1 ? 'Every day' : `Every ${interval} days`;
+            break;
+
+        case 'weekly': {
+            const days = describeDays(rule.byDay);
+            if (interval === 1) {
+                text = ['Every day', 'Weekdays', 'Weekends'].includes(days) ? days : `Every ${days}`;
+            } else if (interval === 2) {
+                text = `Every other ${days}`;
+            } else {
+                text = `Every ${interval} weeks on ${days}`;
+            }
+            break;
+        }
+
+        case 'monthly': {
+            const every = interval === 1 ? 'the month' : `every ${interval} months`;
+            if (rule.bySetPos) {
+                const what = describeDays(rule.byDay, { singular: true });
+                text = `${capitalize(SET_POS_NAMES[rule.bySetPos])} ${what} of ${every}`;
+            } else if (rule.byMonthDay === -1) {
+                text = `Last day of ${every}`;
+            } else {
+                const monthDay = rule.byMonthDay || (rule.start ? parseDateKey(rule.start).getDate() : 1);
+                text = `Day ${monthDay} of ${every}`;
+            }
+            break;
+        }
+
+        default:
+            text = '';
+    }
+
+    if (rule.skipHolidays && rule.freq !== 'once') {
+        text += ', except holidays';
+    }
+    return text;
+}
+
+function describeDays(byDay, { singular = false } = {}) {
+    const sorted = [...byDay].sort();
+    const key = sorted.join(',');
+    if (sorted.length === 0 || sorted.length === 7) return singular ? 'day' : 'Every day';
+    if (key === '1,2,3,4,5') return singular ? 'weekday' : 'Weekdays';
+    if (key === '0,6') return singular ? 'weekend day' : 'Weekends';
+    return sorted.map(d => DAY_NAMES[d]).join(singular ? ' or ' : ', ');
+}
+
+// --- Holidays ---
+// One shared list of 'YYYY-MM-DD' dates, used by rules with skipHolidays
+
+export function getHolidays() {
+    try {
+        const data = localStorage.getItem(HOLIDAYS_KEY);
+        return data ? JSON.parse(data) : [];
+    } catch {
+        return [];
+    }
+}
+
+export function setHolidays(dates) {
+    localStorage.setItem(HOLIDAYS_KEY, JSON.stringify([...new Set(dates)].sort()));
+    notifyChange(HOLIDAYS_KEY);
+}
+
+// --- Time Zones ---
+//
+// An alarm can be pinned to an IANA time zone, so "07:00" means 07:00
+// there wherever the device is. Around DST changes:
+//   - a skipped local time (spring forward) uses the offset from before
+//     the jump, so 02:30 rings at 03:30
+//   - a repeated local time (fall back) rings once, at the first pass
+// Both match how Date resolves device-local times, so pinned and
+// unpinned alarms behave the same way.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const zoneFormatters = new Map();
+
+export function getDeviceTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        getZoneFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// The alarm's zone, or null when it follows the device
+export function getAlarmTimeZone(alarm) {
+    return alarm.timeZone && isValidTimeZone(alarm.timeZone) ? alarm.timeZone : null;
+}
+
+// "America/New_York" -> "New York time"
+export function formatZoneLabel(timeZone) {
+    const city = timeZone.split('/').pop().replace(/_/g, ' ');
+    return `${city} time`;
+}
+
+function getZoneFormatter(timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        }));
+    }
+    return zoneFormatters.get(timeZone);
+}
+
+function getZoneParts(ts, timeZone) {
+    const parts = {};
+    for (const { type, value } of getZoneFormatter(timeZone).formatToParts(new Date(ts))) {
+        parts[type] = Number(value);
+    }
+    return parts;
+}
+
+// Milliseconds to add to a UTC timestamp to get the wall clock in `timeZone`
+function getZoneOffset(ts, timeZone) {
+    const p = getZoneParts(ts, timeZone);
+    const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wall - Math.floor(ts / 1000) * 1000;
+}
+
+// Timestamp of a wall-clock time on a calendar day (see above for DST)
+function zonedTime(day, hours, minutes, timeZone) {
+    if (!timeZone) {
+        const at = new Date(day);
+        at.setHours(hours, minutes, 0, 0);
+        return at.getTime();
+    }
+
+    const wall = Date.UTC(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+    const offsetBefore = getZoneOffset(wall - DAY_MS, timeZone);
+    const offsetAfter = getZoneOffset(wall + DAY_MS, timeZone);
+
+    const valid = [...new Set([offsetBefore, offsetAfter])]
+        .map(offset => wall - offset)
+        .filter(t => getZoneOffset(t, timeZone) === wall - t);
+
+    // Two valid instants = repeated hour, none = skipped hour
+    return valid.length > 0 ? Math.min(...valid) : wall - offsetBefore;
+}
+
+// The calendar day `ts` falls on in `timeZone`, as a local-midnight Date
+function calendarDay(ts, timeZone) {
+    if (!timeZone) {
+        const day = new Date(ts);
+        day.setHours(0, 0, 0, 0);
+        return day;
+    }
+    const p = getZoneParts(ts, timeZone);
+    return new Date(p.year, p.month - 1, p.day);
+}
+
+// --- Date Helpers ---
+
+export function toDateKey(date) {
+    return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+}
+
+export function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Whole calendar days between two dates, unaffected by DST shifts
+function daysBetween(a, b) {
+    const utcA = Date.UTC(a.getFullYear(), a.getMonth(), a.getDate());
+    const utcB = Date.UTC(b.getFullYear(), b.getMonth(), b.getDate());
+    return Math.round((utcB - utcA) / (24 * 60 * 60 * 1000));
+}
+
+// Weeks start on Monday, as in RRULE's default WKST=MO
+function startOfWeek(date) {
+    const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return d;
+}
+
+function daysInMonth(date) {
+    return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+}
+
+function capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
 export { DAY_NAMES };
@@ -7,14 +7,19 @@ const TOKEN_KEY = 'wakewave_token';
 const REFRESH_TOKEN_KEY = 'wakewave_refresh_token';
 const EXPIRY_KEY = 'wakewave_token_expiry';
 const VERIFIER_KEY = 'wakewave_code_verifier';
+const SCOPES_KEY = 'wakewave_scopes';                     // granted to the current token
+const REQUESTED_SCOPES_KEY = 'wakewave_requested_scopes'; // asked for by the redirect in flight
+const DECLINED_SCOPES_KEY = 'wakewave_declined_scopes';
 
+// Asked for at login. Anything else (like reading the user's library) is
+// asked for later, when a feature first needs it — see requestScopes().
 const SCOPES = [
     'streaming',
     'user-read-email',
     'user-read-private',
     'user-modify-playback-state',
     'user-read-playback-state',
-].join(' ');
+];
 
 function getRedirectUri() {
     return window.location.origin + window.location.pathname;
@@ -60,7 +65,8 @@ async function generateCodeChallenge(verifier) {
 
 // --- Auth Flow ---
 
-export async function redirectToSpotifyAuth() {
+// `extraScopes` are asked for on top of the login scopes and any already granted
+export async function redirectToSpotifyAuth(extraScopes = []) {
     const clientId = getClientId();
     if (!clientId) {
         throw new Error('Client ID not set. Please enter your Spotify Client ID.');
@@ -70,12 +76,14 @@ export async function redirectToSpotifyAuth() {
     const challenge = await generateCodeChallenge(verifier);
 
     localStorage.setItem(VERIFIER_KEY, verifier);
+    localStorage.setItem(REQUESTED_SCOPES_KEY, JSON.stringify(extraScopes));
 
+    const scopes = new Set([...SCOPES, ...getGrantedScopes(), ...extraScopes]);
     const params = new URLSearchParams({
         client_id: clientId,
         response_type: 'code',
         redirect_uri: getRedirectUri(),
-        scope: SCOPES,
+        scope: [...scopes].join(' '),
         code_challenge_method: 'S256',
         code_challenge: challenge,
     });
@@ -89,7 +97,12 @@ export async function handleAuthCallback() {
     const error = params.get('error');
 
     if (error) {
+        // "access_denied" is the user pressing Cancel — a logged-in user
+        // carries on with the scopes they had
         console.error('Spotify auth error:', error);
+        window.history.replaceState({}, document.title, window.location.pathname);
+        localStorage.removeItem(VERIFIER_KEY);
+        settleRequestedScopes();
         return false;
     }
 
@@ -125,6 +138,7 @@ export async function handleAuthCallback() {
 
         const data = await response.json();
         saveTokens(data);
+        settleRequestedScopes();
 
         // Clean up URL
         window.history.replaceState({}, document.title, window.location.pathname);
@@ -142,10 +156,59 @@ function saveTokens(data) {
     if (data.refresh_token) {
         localStorage.setItem(REFRESH_TOKEN_KEY, data.refresh_token);
     }
+    // Refreshes may leave the scope out, which means it hasn't changed
+    if (data.scope != null) {
+        localStorage.setItem(SCOPES_KEY, data.scope);
+    }
     const expiry = Date.now() + data.expires_in * 1000;
     localStorage.setItem(EXPIRY_KEY, expiry.toString());
 }
 
+// --- Scopes ---
+
+function getGrantedScopes() {
+    const granted = localStorage.getItem(SCOPES_KEY);
+    // Sessions from before scopes were recorded have the login ones
+    if (granted == null) return getAccessToken() ? SCOPES : [];
+    return granted.split(' ').filter(Boolean);
+}
+
+function readScopeList(key) {
+    try {
+        const scopes = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(scopes) ? scopes : [];
+    } catch {
+        return [];
+    }
+}
+
+// After a scope request comes back: whatever was asked for and not
+// granted counts as declined, so the UI can say so instead of asking again
+function settleRequestedScopes() {
+    const requested = readScopeList(REQUESTED_SCOPES_KEY);
+    localStorage.removeItem(REQUESTED_SCOPES_KEY);
+    const granted = getGrantedScopes();
+    const missing = requested.filter(scope => !granted.includes(scope));
+    const declined = new Set([...readScopeList(DECLINED_SCOPES_KEY), ...missing]);
+    granted.forEach(scope => declined.delete(scope));
+    localStorage.setItem(DECLINED_SCOPES_KEY, JSON.stringify([...declined]));
+    if (missing.length > 0) console.warn('Spotify access not granted for:', missing.join(', '));
+}
+
+export function hasScope(scope) {
+    return getGrantedScopes().includes(scope);
+}
+
+export function wasScopeDeclined(scope) {
+    return readScopeList(DECLINED_SCOPES_KEY).includes(scope);
+}
+
+// Sends the user to Spotify to grant more scopes; they come back to the
+// app's start page either way
+export function requestScopes(scopes) {
+    return redirectToSpotifyAuth(scopes.filter(scope => !hasScope(scope)));
+}
+
 export function getAccessToken() {
     return localStorage.getItem(TOKEN_KEY);
 }
@@ -158,14 +221,15 @@ export function isLoggedIn() {
     return true;
 }
 
+// Resolves with false when the token couldn't be refreshed, and leaves it
+// to the caller (spotifyApi.js throws SpotifyAuthError) — logging out
+// reloads the page, which would lose a ringing alarm over a network blip.
+// Only a refresh token Spotify has definitely rejected logs out.
 export async function refreshAccessToken() {
     const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
     const clientId = getClientId();
 
-    if (!refreshToken || !clientId) {
-        logout();
-        return false;
-    }
+    if (!refreshToken || !clientId) return false;
 
     try {
         const body = new URLSearchParams({
@@ -181,15 +245,21 @@ export async function refreshAccessToken() {
         });
 
         if (!response.ok) {
-            logout();
+            const err = await response.json().catch(() => ({}));
+            if (err.error === 'invalid_grant') {
+                console.error('Spotify session revoked — logging out');
+                logout();
+            } else {
+                console.warn('Token refresh failed:', err.error || response.status);
+            }
             return false;
         }
 
         const data = await response.json();
         saveTokens(data);
         return true;
-    } catch {
-        logout();
+    } catch (err) {
+        console.warn('Token refresh failed:', err);
         return false;
     }
 }
@@ -208,5 +278,8 @@ export function logout() {
     localStorage.removeItem(REFRESH_TOKEN_KEY);
     localStorage.removeItem(EXPIRY_KEY);
     localStorage.removeItem(VERIFIER_KEY);
+    localStorage.removeItem(SCOPES_KEY);
+    localStorage.removeItem(REQUESTED_SCOPES_KEY);
+    localStorage.removeItem(DECLINED_SCOPES_KEY);
     window.location.reload();
 }
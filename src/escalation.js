@@ -0,0 +1,93 @@
+// ============================================
+// Escalation — When an Alarm Isn't Dismissed
+// ============================================
+//
+// Every `stepMinutes` without a dismiss or snooze the alarm moves up a
+// stage: louder, then the chime on top, then the urgent tone. After the
+// last stage the whole set is re-applied each step, in case something was
+// turned down. At `limitMinutes` the alarm snoozes or stops by itself.
+
+const LOG_KEY = 'wakewave_escalation_log';
+const MAX_LOG = 50;
+
+export const ESCALATION_STAGES = [
+    { id: 'louder', label: 'Volume up' },
+    { id: 'chime', label: 'Chime added' },
+    { id: 'urgent', label: 'Urgent tone' },
+];
+
+export const DEFAULT_ESCALATION = {
+    enabled: false,
+    stepMinutes: 3,
+    limitMinutes: 30,
+    limitAction: 'snooze', // 'snooze' | 'stop'
+};
+
+export function getEscalation(alarm) {
+    return { ...DEFAULT_ESCALATION, ...alarm?.escalation };
+}
+
+// Calls onStage(stage, round) as each stage comes due and onLimit(action)
+// at the time limit. Returns a function that stops it.
+export function startEscalation(alarm, { onStage, onLimit }) {
+    const policy = getEscalation(alarm);
+    if (!policy.enabled) return () => { };
+
+    const startedAt = Date.now();
+    let stepsDone = 0;
+
+    // Checked every second against the wall clock so a throttled
+    // background tab catches up instead of drifting
+    const timer = setInterval(() => {
+        const minutes = (Date.now() - startedAt) / 60000;
+
+        if (minutes >= policy.limitMinutes) {
+            clearInterval(timer);
+            recordEscalation(alarm, `Auto-${policy.limitAction === 'stop' ? 'stopped' : 'snoozed'}`);
+            onLimit(policy.limitAction);
+            return;
+        }
+
+        const due = Math.floor(minutes / policy.stepMinutes);
+        if (due > stepsDone) {
+            // Only the latest stage matters if several came due at once
+            stepsDone = due;
+            const index = (due - 1) % ESCALATION_STAGES.length;
+            const round = Math.floor((due - 1) / ESCALATION_STAGES.length) + 1;
+            const stage = ESCALATION_STAGES[index];
+            recordEscalation(alarm, round > 1 ? `${stage.label} (round ${round})` : stage.label);
+            onStage(stage, round);
+        }
+    }, 1000);
+
+    return () => clearInterval(timer);
+}
+
+// Stages a policy goes through, for the editor summary
+export function describeEscalation(policy) {
+    if (!policy.enabled) return 'Off';
+    const steps = ESCALATION_STAGES
+        .map((stage, i) => ({ minutes: policy.stepMinutes * (i + 1), label: stage.label.toLowerCase() }))
+        .filter(step => step.minutes < policy.limitMinutes)
+        .map(step => `${step.minutes} min: ${step.label}`);
+    const repeats = policy.stepMinutes * (ESCALATION_STAGES.length + 1) < policy.limitMinutes;
+    return [...steps, ...(repeats ? ['then repeat'] : []), `${policy.limitMinutes} min: ${policy.limitAction}`].join(' · ');
+}
+
+// --- Log ---
+
+function recordEscalation(alarm, stage) {
+    console.log(`📈 ${alarm.label || alarm.time}: ${stage}`);
+    const log = getEscalationLog();
+    log.push({ alarmId: alarm.id, label: alarm.label, time: alarm.time, stage, at: Date.now() });
+    localStorage.setItem(LOG_KEY, JSON.stringify(log.slice(-MAX_LOG)));
+}
+
+export function getEscalationLog() {
+    try {
+        const data = localStorage.getItem(LOG_KEY);
+        return data ? JSON.parse(data) : [];
+    } catch {
+        return [];
+    }
+}
@@ -0,0 +1,61 @@
+// ============================================
+// Fade-In — Per-Alarm Volume Curves
+// ============================================
+//
+// One fade drives both the Spotify browser player and the fallback chime,
+// so an alarm sounds the same whichever of them ends up playing.
+
+export const FADE_CURVES = ['linear', 'exponential', 'sCurve'];
+
+export const DEFAULT_FADE = {
+    duration: 30,     // seconds, 0 = start at full volume
+    curve: 'linear',
+    startVolume: 0,   // percent
+    maxVolume: 100,   // percent
+};
+
+const STEP_MS = 500;
+
+// Shapes map fade progress (0–1) to volume progress (0–1)
+const shapes = {
+    linear: p => p,
+    // Slow start that matches how loudness is perceived
+    exponential: p => (Math.pow(2, 10 * p) - 1) / 1023,
+    // Eases in and out (smoothstep)
+    sCurve: p => p * p * (3 - 2 * p),
+};
+
+export function getFade(alarm) {
+    return { ...DEFAULT_FADE, ...alarm?.fade };
+}
+
+// Volume (0–1) the fade has reached after `elapsed` seconds
+export function fadeVolumeAt(fade, elapsed) {
+    const progress = fade.duration > 0 ? Math.min(Math.max(elapsed / fade.duration, 0), 1) : 1;
+    const shape = shapes[fade.curve] || shapes.linear;
+    return (fade.startVolume + (fade.maxVolume - fade.startVolume) * shape(progress)) / 100;
+}
+
+// Steps setVolume along the fade. Returns a function that stops it.
+export function runFade(fade, setVolume) {
+    const startedAt = Date.now();
+    setVolume(fadeVolumeAt(fade, 0));
+    if (fade.duration <= 0) return () => { };
+
+    const timer = setInterval(() => {
+        const elapsed = (Date.now() - startedAt) / 1000;
+        setVolume(fadeVolumeAt(fade, elapsed));
+        if (elapsed >= fade.duration) clearInterval(timer);
+    }, STEP_MS);
+
+    return () => clearInterval(timer);
+}
+
+export function describeFade(fade) {
+    if (fade.duration <= 0) return `Starts at ${fade.maxVolume}%`;
+    const names = { linear: 'linear', exponential: 'exponential', sCurve: 'S-curve' };
+    const duration = fade.duration >= 60 && fade.duration % 60 === 0
+        ? `${fade.duration / 60} min`
+        : `${fade.duration} s`;
+    return `${fade.startVolume}% → ${fade.maxVolume}% over ${duration}, ${names[fade.curve]}`;
+}
@@ -3,14 +3,26 @@
 // ============================================
 
 import { isLoggedIn, handleAuthCallback, logout, hasClientId } from './auth.js';
-import { getUserProfile, initPlayer } from './spotify.js';
-import { getAlarms, startAlarmChecker, triggerAlarmPlayback } from './alarms.js';
+import {
+    getUserProfile, initPlayer, watchPlayback, stopPlaybackWatchdog, boostPlayback, endAlarmPlayback,
+    restoreConnectVolume,
+} from './spotify.js';
+import {
+    getAlarms, startAlarmChecker, stopAlarmChecker, triggerAlarmPlayback, snoozeAlarm, dismissAlarm,
+} from './alarms.js';
 import { renderLogin } from './ui/login.js';
 import { renderClock, destroyClock } from './ui/clock.js';
 import { renderAlarmList, destroyAlarmList } from './ui/alarmList.js';
-import { renderEditor } from './ui/alarmEditor.js';
-import { renderRingingOverlay } from './ui/alarmRinging.js';
-import { unlockAudio, playAlarmSound, stopAlarmSound } from './alarmSound.js';
+import { renderEditor, destroyEditor } from './ui/alarmEditor.js';
+import { renderRingingOverlay, hideRingingOverlay, showRingingStage } from './ui/alarmRinging.js';
+import {
+    unlockAudio, preloadAlarmTones, playAlarmSound, stopAlarmSound, isAlarmSoundPlaying, boostAlarmSound, setAlarmTone,
+} from './alarmSound.js';
+import { getFade, DEFAULT_FADE } from './fade.js';
+import { getTone, URGENT_TONE } from './tones.js';
+import { loadCustomTones } from './toneStore.js';
+import { startEscalation } from './escalation.js';
+import { startLeaderElection, isLeader, broadcast, onTabMessage } from './tabSync.js';
 
 // --- DOM References ---
 const loadingScreen = document.getElementById('loading-screen');
@@ -21,19 +33,27 @@ const ringingOverlay = document.getElementById('ringing-overlay');
 
 let currentUser = null;
 
+const MOCK_KEY = 'wakewave_mock';
+
 // --- App Init ---
 async function init() {
     // Check for OAuth callback
     const params = new URLSearchParams(window.location.search);
-    if (params.has('code')) {
+    if (params.has('code') || params.has('error')) {
         const success = await handleAuthCallback();
         if (!success) {
             console.error('Auth callback failed');
         }
     }
 
+    const mock = await startDevMock();
+
+    // Uploaded alarm tones have to be in memory before the first tap unlocks audio
+    await loadCustomTones();
+    preloadAlarmTones([...getAlarms().map(getTone), URGENT_TONE]);
+
     // Route to appropriate view
-    if (isLoggedIn()) {
+    if (mock || isLoggedIn()) {
         try {
             currentUser = await getUserProfile();
         } catch (e) {
@@ -43,8 +63,19 @@ async function init() {
         // Initialize Spotify player
         initPlayer().catch(err => console.log('Player init (may need Premium):', err));
 
-        // Start alarm checker
-        startAlarmChecker(handleAlarmTrigger);
+        // Only one open tab runs the alarm checker and rings
+        startLeaderElection({
+            onElected: () => {
+                // A volume left turned down by a tab that closed or reloaded mid-alarm
+                if (!ringingAlarm) restoreConnectVolume();
+                startAlarmChecker(handleAlarmTrigger);
+                refreshMainView();
+            },
+            onDemoted: () => {
+                stopAlarmChecker();
+                refreshMainView();
+            },
+        });
 
         showMainView();
     } else {
@@ -55,6 +86,19 @@ async function init() {
     loadingScreen.style.display = 'none';
 }
 
+// Development only: ?mock=1 swaps Spotify for an offline mock until ?mock=0
+async function startDevMock() {
+    if (!import.meta.env.DEV) return false;
+    const param = new URLSearchParams(window.location.search).get('mock');
+    if (param === '1') localStorage.setItem(MOCK_KEY, '1');
+    if (param === '0') localStorage.removeItem(MOCK_KEY);
+    if (localStorage.getItem(MOCK_KEY) !== '1') return false;
+
+    const { installMockSpotify } = await import('./mockSpotify.js');
+    installMockSpotify();
+    return true;
+}
+
 // --- Views ---
 
 function showLoginView() {
@@ -107,7 +151,9 @@ function renderMainView() {
     warning.className = 'tab-warning';
     warning.innerHTML = `
     <svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/></svg>
-    Keep this tab open for alarms to work. Your alarms are saved locally.
+    ${isLeader()
+            ? 'Keep this tab open for alarms to work. Your alarms are saved locally.'
+            : 'Another WakeWave tab is ringing your alarms. This tab takes over if that one closes.'}
   `;
     mainView.appendChild(warning);
 
@@ -120,6 +166,15 @@ function renderMainView() {
     });
 }
 
+function refreshMainView() {
+    if (mainView.style.display !== 'none') {
+        // Tear down the old clock loop and list before rendering new ones
+        destroyClock();
+        destroyAlarmList();
+        renderMainView();
+    }
+}
+
 function showEditorView(alarmId) {
     hideAllViews();
     editorView.style.display = '';
@@ -136,32 +191,49 @@ function showEditorView(alarmId) {
 
 // --- Alarm Trigger ---
 
-async function handleAlarmTrigger(alarm) {
+// Alarms waiting to ring while another one is on screen
+const ringingQueue = [];
+let ringingAlarm = null;
+// Aborted when the ringing alarm is handled, so a play request still in
+// flight doesn't start music afterwards
+let playbackAbort = null;
+
+function handleAlarmTrigger(alarm) {
     console.log('🔔 Alarm triggered:', alarm);
 
-    // Play the fallback chime immediately as a safety net
-    playAlarmSound();
+    // The same alarm can't ring twice at once (e.g. a snooze expiring
+    // while its regular time is already queued)
+    if (ringingAlarm?.id === alarm.id || ringingQueue.some(a => a.id === alarm.id)) return;
 
-    // Then try Spotify playback (if there's a track)
-    if (alarm.trackUri) {
-        try {
-            const result = await triggerAlarmPlayback(alarm);
-            // If Spotify is playing (SDK or Connect), stop the chime
-            if (result === true || result === 'connect') {
-                setTimeout(() => stopAlarmSound(), 2000);
-            }
-        } catch (err) {
-            console.error('Spotify playback failed, keeping fallback sound:', err);
-        }
+    ringingQueue.push(alarm);
+    if (ringingAlarm) {
+        // Just update the "more waiting" count on the current overlay
+        showRingingOverlay(ringingAlarm);
+        return;
     }
 
-    // Show ringing overlay
-    renderRingingOverlay(ringingOverlay, alarm, () => {
-        // On dismiss/snooze, refresh main view if visible
-        if (mainView.style.display !== 'none') {
-            renderMainView();
-        }
-    });
+    ringNextAlarm();
+}
+
+async function ringNextAlarm() {
+    // Whatever was playing for the previous alarm has been handled
+    if (playbackAbort) {
+        playbackAbort.abort();
+        playbackAbort = null;
+    }
+    stopPlaybackWatchdog();
+    stopEscalation();
+    ringingStage = '';
+    const alarm = ringingQueue.shift();
+    ringingAlarm = alarm || null;
+
+    if (!alarm) {
+        // Queue drained — refresh main view if visible
+        refreshMainView();
+        return;
+    }
+
+    showRingingOverlay(alarm);
 
     // Browser notification (if allowed)
     if ('Notification' in window && Notification.permission === 'granted') {
@@ -170,12 +242,158 @@ async function handleAlarmTrigger(alarm) {
             icon: alarm.trackImage || undefined,
         });
     }
+
+    // Play the fallback chime immediately as a safety net
+    setAlarmTone(getTone(alarm));
+    playAlarmSound(getFade(alarm));
+
+    stopEscalationTimer = startEscalation(alarm, {
+        onStage: (stage, round) => escalate(alarm, stage, round),
+        onLimit: (action) => finishUnanswered(alarm, action),
+    });
+
+    // Then try Spotify playback (if there's a track)
+    if (alarm.trackUri) {
+        playbackAbort = new AbortController();
+        playWithWatchdog(alarm, { signal: playbackAbort.signal });
+    }
+}
+
+// Starts Spotify and keeps the chime going until the watchdog confirms
+// the music is actually audible. If playback stalls before the alarm is
+// handled, the chime comes back and the next device gets a turn.
+async function playWithWatchdog(alarm, { signal, exclude = [] }) {
+    try {
+        // A late start after the alarm was handled is undone by the abort
+        const result = await triggerAlarmPlayback(alarm, { exclude, signal });
+        // Nothing to watch for the fallback, or if the alarm was handled meanwhile
+        if ((result !== true && result !== 'connect') || ringingAlarm !== alarm) return;
+
+        watchPlayback({
+            fade: getFade(alarm),
+            onConfirmed: () => {
+                if (ringingAlarm === alarm) stopAlarmSound();
+            },
+            onStall: (failedDevice) => {
+                if (ringingAlarm !== alarm) return;
+                // Back at full volume — the fade already had its chance
+                playAlarmSound({ ...getFade(alarm), duration: 0 });
+                playWithWatchdog(alarm, { signal, exclude: [...exclude, failedDevice] });
+            },
+        });
+    } catch (err) {
+        console.error('Spotify playback failed, keeping fallback sound:', err);
+    }
+}
+
+// --- Escalation ---
+
+const FULL_VOLUME = { ...DEFAULT_FADE, duration: 0, maxVolume: 100 };
+let stopEscalationTimer = null;
+let ringingStage = '';
+
+function stopEscalation() {
+    if (stopEscalationTimer) {
+        stopEscalationTimer();
+        stopEscalationTimer = null;
+    }
+}
+
+function escalate(alarm, stage, round) {
+    if (ringingAlarm !== alarm) return;
+
+    switch (stage.id) {
+        case 'louder':
+            boostPlayback();
+            boostAlarmSound();
+            break;
+        case 'chime':
+            if (!isAlarmSoundPlaying()) playAlarmSound(FULL_VOLUME);
+            boostAlarmSound();
+            break;
+        case 'urgent':
+            setAlarmTone(URGENT_TONE);
+            if (!isAlarmSoundPlaying()) playAlarmSound(FULL_VOLUME);
+            boostAlarmSound();
+            break;
+    }
+
+    ringingStage = round > 1 ? `${stage.label} · round ${round}` : stage.label;
+    showRingingStage(ringingStage);
+    broadcast('alarm-escalated', { alarmId: alarm.id, stage: ringingStage });
+}
+
+// Time limit reached with nobody answering — snooze or stop on the user's behalf
+async function finishUnanswered(alarm, action) {
+    if (ringingAlarm !== alarm) return;
+    stopAlarmSound();
+    if (action === 'stop') {
+        await dismissAlarm();
+    } else {
+        await snoozeAlarm(alarm.id, 5);
+    }
+    hideRingingOverlay(ringingOverlay);
+    broadcast('alarm-handled', { alarmId: alarm.id, action: action === 'stop' ? 'dismiss' : 'snooze' });
+    ringNextAlarm();
+}
+
+function showRingingOverlay(alarm) {
+    renderRingingOverlay(ringingOverlay, alarm, {
+        pending: ringingQueue.length,
+        stage: ringingStage,
+        // On dismiss/snooze, move on to the next queued alarm
+        onDismiss: (action) => {
+            broadcast('alarm-handled', { alarmId: alarm.id, action });
+            ringNextAlarm();
+        },
+    });
+
+    // Mirror the overlay in the other tabs so it can be handled from any of them
+    broadcast('alarm-ringing', { alarm, pending: ringingQueue.length, stage: ringingStage });
 }
 
+// --- Other Tabs ---
+
+let mirroredAlarmId = null;
+
+onTabMessage('alarm-ringing', ({ alarm, pending, stage }) => {
+    if (isLeader()) return;
+    mirroredAlarmId = alarm.id;
+    renderRingingOverlay(ringingOverlay, alarm, {
+        pending,
+        stage,
+        onDismiss: (action) => {
+            mirroredAlarmId = null;
+            broadcast('alarm-handled', { alarmId: alarm.id, action });
+            refreshMainView();
+        },
+    });
+});
+
+onTabMessage('alarm-escalated', ({ alarmId, stage }) => {
+    if (!isLeader() && mirroredAlarmId === alarmId) showRingingStage(stage);
+});
+
+// A dismiss or snooze from another tab — the snooze itself and the
+// Spotify pause already happened there, we only stop what's local
+onTabMessage('alarm-handled', ({ alarmId }) => {
+    if (isLeader() && ringingAlarm?.id === alarmId) {
+        stopAlarmSound();
+        endAlarmPlayback();
+        hideRingingOverlay(ringingOverlay);
+        ringNextAlarm();
+    } else if (mirroredAlarmId === alarmId) {
+        mirroredAlarmId = null;
+        hideRingingOverlay(ringingOverlay);
+        refreshMainView();
+    }
+});
+
 // --- Unlock audio on first user interaction (required for iOS) ---
 const unlockEvents = ['touchstart', 'touchend', 'click', 'keydown'];
 function handleUnlock() {
-    unlockAudio();
+    // Unlock the tones of the current alarms; new ones unlock on save
+    unlockAudio([...getAlarms().map(getTone), URGENT_TONE]);
     unlockEvents.forEach(e => document.removeEventListener(e, handleUnlock));
 }
 unlockEvents.forEach(e => document.addEventListener(e, handleUnlock, { once: false, passive: true }));
@@ -196,6 +414,7 @@ function hideAllViews() {
     editorView.style.display = 'none';
     destroyClock();
     destroyAlarmList();
+    destroyEditor();
 }
 
 // --- Start ---
@@ -0,0 +1,421 @@
+// ============================================
+// Offline Mock Spotify — Development Only
+// ============================================
+//
+// Open the dev server with ?mock=1 (and ?mock=0 to go back) to run the
+// app against a fake Spotify: no account, no network. The fake answers
+// the Web API requests spotifyApi.js makes, so retries and typed errors
+// behave as they do for real, and a fake Web Playback SDK player shows
+// up as "this browser".
+//
+// Drive it from the console through window.wakewaveMock:
+//   wakewaveMock.devices                    the fake devices, editable
+//   wakewaveMock.fail('/me/player/play', 429, { retryAfter: 2, times: 1 })
+//   wakewaveMock.fail('*', 401)             any path; 404 and 5xx work too
+//   wakewaveMock.clearFaults()
+//   wakewaveMock.setPremium(false)          playback calls fail with PREMIUM_REQUIRED
+//   wakewaveMock.stall()                    playback stops moving (watchdog test)
+//   wakewaveMock.declineScopes(true)        the next library access request is turned down
+//   wakewaveMock.setScopes([])              take back library access
+//   wakewaveMock.sdk('account_error', { message: '...' })   fire an SDK event
+//   wakewaveMock.state()                    what's "playing"
+
+import { spotifyFetch, setApiBackend } from './spotifyApi.js';
+import { setProvider } from './playbackProvider.js';
+import { spotifyProvider } from './spotifyProvider.js';
+
+const BROWSER_ID = 'mock-browser';
+const LIBRARY_SIZE = 45;
+const MIN_LATENCY_MS = 50;
+const MAX_LATENCY_MS = 150;
+
+const devices = [
+    { id: 'mock-phone', name: 'Mock Phone', type: 'Smartphone', is_active: true, volume_percent: 70, supports_volume: true },
+    // Idle until a transfer wakes it, like a speaker that's been sitting there
+    { id: 'mock-speaker', name: 'Mock Speaker', type: 'Speaker', is_active: false, volume_percent: 40, supports_volume: true, asleep: true },
+    { id: 'mock-tv', name: 'Mock TV', type: 'TV', is_active: false, volume_percent: 30, supports_volume: false },
+];
+
+const faults = []; // { path, status, times, retryAfter, reason }
+let premium = true;
+let playback = null; // { deviceId, item, position, since, playing, stalled, shuffle }
+let sdkPlayer = null;
+// Library scopes start ungranted, so the "allow access" step can be tried out
+const grantedScopes = new Set();
+const declinedScopes = new Set();
+let declineNext = false;
+
+export function installMockSpotify() {
+    setApiBackend({
+        fetch: mockFetch,
+        getToken: () => 'mock-token',
+        ensureToken: async () => true,
+        refreshToken: async () => {
+            console.log('🧪 Mock token refreshed');
+            return true;
+        },
+    });
+    setProvider({
+        ...spotifyProvider,
+        name: 'Offline mock',
+        // The real one skips this without a stored session — the mock always has one
+        pause: () => spotifyFetch('/me/player/pause', { method: 'PUT', retries: 1 }),
+        hasScope: scope => grantedScopes.has(scope),
+        scopeDeclined: scope => declinedScopes.has(scope),
+        // Answers straight away instead of going to Spotify's consent screen
+        requestScopes: async (scopes) => {
+            scopes.forEach(scope => {
+                (declineNext ? declinedScopes : grantedScopes).add(scope);
+                (declineNext ? grantedScopes : declinedScopes).delete(scope);
+            });
+            console.log(`🧪 Scopes ${declineNext ? 'declined' : 'granted'}: ${scopes.join(' ')}`);
+            declineNext = false;
+        },
+        onPlayerReady: (callback) => setTimeout(callback, 0),
+        createPlayer: (options) => {
+            sdkPlayer = new MockPlayer(options);
+            return sdkPlayer;
+        },
+    });
+
+    window.wakewaveMock = {
+        devices,
+        fail(path, status, { times = 1, retryAfter = null, reason = null } = {}) {
+            faults.push({ path, status, times, retryAfter, reason });
+        },
+        clearFaults() {
+            faults.length = 0;
+        },
+        setPremium(value) {
+            premium = value;
+        },
+        stall() {
+            if (playback) {
+                playback.position = currentPosition();
+                playback.stalled = true;
+            }
+        },
+        declineScopes(value) {
+            declineNext = value;
+        },
+        setScopes(scopes) {
+            grantedScopes.clear();
+            scopes.forEach(scope => grantedScopes.add(scope));
+        },
+        sdk(event, payload = {}) {
+            sdkPlayer?.emit(event, payload);
+        },
+        state: () => playerState(),
+    };
+    console.log('🧪 Offline mock Spotify is on — see window.wakewaveMock');
+}
+
+// --- Fake Web API ---
+
+async function mockFetch(url, options = {}) {
+    const { pathname, searchParams } = new URL(url);
+    const path = pathname.replace(/^\/v1/, '');
+    const method = options.method || 'GET';
+    const body = options.body ? JSON.parse(options.body) : null;
+
+    await new Promise(resolve => setTimeout(resolve,
+        MIN_LATENCY_MS + Math.random() * (MAX_LATENCY_MS - MIN_LATENCY_MS)));
+    if (options.signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+
+    const fault = takeFault(path);
+    if (fault) {
+        console.log(`🧪 ${method} ${path} → ${fault.status} (injected)`);
+        return respond(fault.status, errorBody(fault.status, `Mock fault for ${path}`, fault.reason),
+            fault.retryAfter ? { 'Retry-After': String(fault.retryAfter) } : {});
+    }
+
+    const [status, data] = route(method, path, searchParams, body);
+    return respond(status, data);
+}
+
+function takeFault(path) {
+    const fault = faults.find(f => f.path === '*' || path.startsWith(f.path));
+    if (!fault) return null;
+    if (--fault.times <= 0) faults.splice(faults.indexOf(fault), 1);
+    return fault;
+}
+
+function route(method, path, params, body) {
+    const controls = path.startsWith('/me/player') && method !== 'GET';
+    if (controls && !premium) return [403, errorBody(403, 'Player command failed: Premium required', 'PREMIUM_REQUIRED')];
+
+    switch (`${method} ${path}`) {
+        case 'GET /me':
+            return [200, { id: 'mock-user', display_name: 'Mock Sleeper', images: [] }];
+        case 'GET /search':
+            return [200, searchResults(params.get('q'), params.get('type'), Number(params.get('limit')) || 10,
+                Number(params.get('offset')) || 0, params.get('market'))];
+        case 'GET /me/tracks':
+            return libraryPage('user-library-read', params, i => ({ added_at: '2024-01-01T07:00:00Z', track: fakeItem('track', 'Liked', i) }));
+        case 'GET /me/player/recently-played':
+            return recentlyPlayed(params);
+        case 'GET /me/top/tracks':
+            return libraryPage('user-top-read', params, i => fakeItem('track', `Top ${params.get('time_range')}`, i));
+        case 'GET /me/playlists':
+            // Without playlist-read-private the real API still lists public playlists
+            return libraryPage(null, params, i => fakeItem('playlist', 'Your', i));
+        case 'GET /me/player/devices':
+            return [200, { devices: devices.map(({ asleep, ...device }) => device) }];
+        case 'GET /me/player':
+            return playback ? [200, playerState()] : [204, null];
+        case 'PUT /me/player':
+            return transfer(body.device_ids[0]);
+        case 'PUT /me/player/play':
+            return play(params.get('device_id'), body);
+        case 'PUT /me/player/pause':
+            if (!playback?.playing) return [403, errorBody(403, 'Player command failed: Restriction violated', 'UNKNOWN')];
+            setPlaying(false);
+            return [204, null];
+        case 'PUT /me/player/volume':
+            return setVolume(params.get('device_id'), Number(params.get('volume_percent')));
+        case 'PUT /me/player/shuffle':
+            if (playback) playback.shuffle = params.get('state') === 'true';
+            return [204, null];
+        case 'PUT /me/player/seek':
+            if (!playback) return [404, errorBody(404, 'Player command failed: No active device found', 'NO_ACTIVE_DEVICE')];
+            playback.position = Number(params.get('position_ms'));
+            playback.since = Date.now();
+            emitState();
+            return [204, null];
+        default:
+            return [404, errorBody(404, `Mock has no ${method} ${path}`)];
+    }
+}
+
+function findDevice(id) {
+    return devices.find(device => device.id === id);
+}
+
+function transfer(deviceId) {
+    const device = findDevice(deviceId);
+    if (!device) return [404, errorBody(404, 'Device not found')];
+    devices.forEach(d => { d.is_active = d === device; });
+    device.asleep = false;
+    if (playback) playback.deviceId = device.id;
+    return [204, null];
+}
+
+function play(deviceId, body) {
+    const device = deviceId ? findDevice(deviceId) : devices.find(d => d.is_active);
+    if (!device) return [404, errorBody(404, 'Device not found')];
+    if (device.asleep) return [404, errorBody(404, 'Player command failed: No active device found', 'NO_ACTIVE_DEVICE')];
+
+    devices.forEach(d => { d.is_active = d === device; });
+    const uri = body.context_uri || body.uris[0];
+    const [, type, id] = uri.split(':');
+    const index = body.offset?.position || 0;
+    playback = {
+        deviceId: device.id,
+        item: {
+            id: body.context_uri ? `${id}-${index}` : id,
+            uri: body.context_uri ? `spotify:track:${id}-${index}` : uri,
+            name: `Mock ${type} ${id}${body.context_uri ? ` · #${index + 1}` : ''}`,
+            duration_ms: 200000,
+        },
+        position: body.position_ms || 0,
+        since: Date.now(),
+        playing: true,
+        stalled: false,
+        shuffle: false,
+    };
+    console.log(`🧪 Playing ${playback.item.name} on ${device.name}`);
+    emitState();
+    return [204, null];
+}
+
+function setVolume(deviceId, percent) {
+    const device = findDevice(deviceId);
+    if (!device) return [404, errorBody(404, 'Device not found')];
+    if (!device.supports_volume) return [403, errorBody(403, 'Player command failed: Cannot control device volume', 'VOLUME_CONTROL_DISALLOW')];
+    device.volume_percent = percent;
+    return [204, null];
+}
+
+function currentPosition() {
+    if (!playback) return 0;
+    const moving = playback.playing && !playback.stalled;
+    const position = playback.position + (moving ? Date.now() - playback.since : 0);
+    return Math.min(position, playback.item.duration_ms);
+}
+
+function setPlaying(playing) {
+    if (!playback) return;
+    playback.position = currentPosition();
+    playback.since = Date.now();
+    playback.playing = playing;
+    emitState();
+}
+
+function playerState() {
+    if (!playback) return null;
+    const { asleep, ...device } = findDevice(playback.deviceId) || {};
+    return {
+        device,
+        is_playing: playback.playing,
+        shuffle_state: playback.shuffle,
+        progress_ms: currentPosition(),
+        item: playback.item,
+    };
+}
+
+function searchResults(query, type, limit, offset, market) {
+    const total = 50;
+    const items = [];
+    for (let i = offset; i < Math.min(offset + limit, total); i++) {
+        const item = fakeItem(type, query, i);
+        // With a market, every seventh track is region-locked
+        if (market && type === 'track') {
+            item.is_playable = i % 7 !== 6;
+            if (!item.is_playable) item.restrictions = { reason: 'market' };
+        }
+        items.push(item);
+    }
+    return {
+        [`${type}s`]: {
+            items,
+            limit,
+            offset,
+            total,
+            next: offset + limit < total ? 'mock-next' : null,
+        },
+    };
+}
+
+function libraryPage(scope, params, makeItem) {
+    if (scope && !grantedScopes.has(scope)) return [403, errorBody(403, 'Insufficient client scope')];
+    const limit = Number(params.get('limit')) || 20;
+    const offset = Number(params.get('offset')) || 0;
+    const items = [];
+    for (let i = offset; i < Math.min(offset + limit, LIBRARY_SIZE); i++) items.push(makeItem(i));
+    return [200, { items, limit, offset, total: LIBRARY_SIZE, next: offset + limit < LIBRARY_SIZE ? 'mock-next' : null }];
+}
+
+// One play every 10 minutes going back from now, paged by `before`
+function recentlyPlayed(params) {
+    if (!grantedScopes.has('user-read-recently-played')) return [403, errorBody(403, 'Insufficient client scope')];
+    const limit = Number(params.get('limit')) || 20;
+    const step = 10 * 60 * 1000;
+    const newest = Math.floor(Date.now() / step) * step;
+    const before = Number(params.get('before')) || newest + step;
+    const first = Math.round((newest - before) / step) + 1;
+    const items = [];
+    for (let i = first; i < Math.min(first + limit, LIBRARY_SIZE); i++) {
+        items.push({ played_at: new Date(newest - i * step).toISOString(), track: fakeItem('track', 'Recent', i % 30) });
+    }
+    const oldest = newest - (first + items.length - 1) * step;
+    return [200, {
+        items,
+        limit,
+        cursors: items.length ? { before: String(oldest), after: String(newest - first * step) } : null,
+        next: first + items.length < LIBRARY_SIZE ? 'mock-next' : null,
+    }];
+}
+
+function fakeItem(type, query, i) {
+    const id = `mock${type}${i}${query.replace(/\W/g, '').slice(0, 12)}`;
+    const base = { id, uri: `spotify:${type}:${id}`, name: `${query} ${i + 1}`, images: [] };
+    const artists = [{ name: 'Mock Artist' }];
+    switch (type) {
+        case 'track':
+            return { ...base, artists, album: { name: 'Mock Album', images: [] }, duration_ms: 180000 + i * 5000 };
+        case 'playlist':
+            return { ...base, owner: { display_name: 'Mock Curator' }, tracks: { total: 25 } };
+        case 'album':
+            return { ...base, artists, total_tracks: 12 };
+        case 'show':
+            return { ...base, publisher: 'Mock Radio', total_episodes: 40 };
+        case 'episode':
+            return { ...base, release_date: '2024-01-01', duration_ms: 1800000 };
+        default:
+            return base;
+    }
+}
+
+function errorBody(status, message, reason = null) {
+    return { error: { status, message, ...(reason ? { reason } : {}) } };
+}
+
+function respond(status, data, headers = {}) {
+    return new Response(data == null || status === 204 ? null : JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers },
+    });
+}
+
+// --- Fake Web Playback SDK ---
+
+function emitState() {
+    if (sdkPlayer && playback?.deviceId === BROWSER_ID) {
+        sdkPlayer.emit('player_state_changed', {
+            paused: !playback.playing,
+            position: currentPosition(),
+            track_window: { current_track: playback.item },
+        });
+    }
+}
+
+class MockPlayer {
+    constructor(options) {
+        this.options = options;
+        this.volume = options.volume ?? 1;
+        this.listeners = new Map(); // event -> Set of callbacks
+    }
+
+    addListener(event, callback) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(callback);
+        return true;
+    }
+
+    removeListener(event, callback) {
+        this.listeners.get(event)?.delete(callback);
+        return true;
+    }
+
+    emit(event, payload) {
+        this.listeners.get(event)?.forEach(callback => callback(payload));
+    }
+
+    async connect() {
+        // Shows up as a Connect device once "ready", like the real one
+        setTimeout(() => {
+            if (!findDevice(BROWSER_ID)) {
+                devices.unshift({
+                    id: BROWSER_ID, name: this.options.name, type: 'Computer',
+                    is_active: false, volume_percent: Math.round(this.volume * 100), supports_volume: true,
+                });
+            }
+            this.emit('ready', { device_id: BROWSER_ID });
+        }, 300);
+        return true;
+    }
+
+    disconnect() {
+        const index = devices.findIndex(device => device.id === BROWSER_ID);
+        if (index >= 0) devices.splice(index, 1);
+        this.emit('not_ready', { device_id: BROWSER_ID });
+    }
+
+    async setVolume(volume) {
+        this.volume = volume;
+        const device = findDevice(BROWSER_ID);
+        if (device) device.volume_percent = Math.round(volume * 100);
+    }
+
+    async getVolume() {
+        return this.volume;
+    }
+
+    async pause() {
+        if (playback?.deviceId === BROWSER_ID) setPlaying(false);
+    }
+
+    async resume() {
+        if (playback?.deviceId === BROWSER_ID) setPlaying(true);
+    }
+}
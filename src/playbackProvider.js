@@ -0,0 +1,42 @@
+// ============================================
+// Playback Provider — What the Alarm Plays Through
+// ============================================
+//
+// spotify.js does all its talking to the music service through the
+// current provider, so a different backend (like the offline mock in
+// development) can be swapped in without touching the alarm logic.
+//
+// A provider has:
+//   search(query, type, { limit, offset, market })  Spotify-shaped search page
+//   getProfile()                            { id, display_name, images }
+//   getSavedTracks({ limit, offset, market })  Spotify-shaped pages of the user's library:
+//   getRecentlyPlayed({ limit, before })       Liked Songs, recent plays (paged by a
+//   getTopTracks(timeRange, { limit, offset }) timestamp cursor), top tracks, playlists
+//   getPlaylists({ limit, offset })
+//   hasScope(scope)                         whether the session may use an OAuth scope
+//   scopeDeclined(scope)                    the user said no when last asked for it
+//   requestScopes(scopes)                   asks the user for more scopes (may leave the page)
+//   getDevices()                            [{ id, name, type, is_active, volume_percent, supports_volume }]
+//   getState()                              { is_playing, progress_ms, item, device }, or null when idle
+//   play(deviceId, body)                    body as for Spotify's /me/player/play
+//   pause()
+//   setVolume(deviceId, percent, { retries })
+//   setShuffle(deviceId, state)
+//   seek(deviceId, positionMs)
+//   transfer(deviceId)                      makes an idle device the active one
+//   onPlayerReady(callback)                 calls back once createPlayer() can be used
+//   createPlayer(options)                   a Web Playback SDK-style player
+// Failures are thrown as the SpotifyError types from spotifyApi.js.
+
+import { spotifyProvider } from './spotifyProvider.js';
+
+let provider = spotifyProvider;
+
+export function getProvider() {
+    return provider;
+}
+
+export function setProvider(next) {
+    console.log(`🔌 Playback provider: ${next.name}`);
+    provider = next;
+}
@@ -0,0 +1,9 @@
+// ============================================
+// Song Rotation — Modes
+// ============================================
+//
+// How an alarm with a pool of songs picks the next one (see the Song
+// Pool section of alarms.js). Shared with storage.js, which only lets
+// these through validation.
+
+export const ROTATION_MODES = ['random', 'roundRobin', 'noRepeat'];
@@ -1,64 +1,215 @@
 // ============================================
 // Spotify Web API & Web Playback SDK
 // ============================================
+//
+// Goes through the current playback provider (playbackProvider.js) for
+// everything it asks of Spotify.
 
-import { getAccessToken, ensureValidToken } from './auth.js';
+import { DEFAULT_FADE, runFade, fadeVolumeAt } from './fade.js';
+import { SpotifyAuthError, SpotifyPremiumError, SpotifyRateLimitError } from './spotifyApi.js';
+import { getProvider } from './playbackProvider.js';
 
 let player = null;
 let deviceId = null;
 let playerReady = false;
 let onPlayerReadyCallback = null;
+let stopFade = null;
+let stopConnectFade = null;
+// deviceId -> volume from before an alarm faded that Connect device. Also
+// kept in localStorage, so another tab or a reload can put it back.
+let connectVolumesToRestore = {};
+let playbackTarget = null; // Device the last alarm playback started on (BROWSER_DEVICE for the SDK)
+let stopWatchdog = null;
+let stopLoop = null;
+
+// Each Connect volume step is an API call, so step far slower than the
+// browser player to stay clear of the rate limit
+const CONNECT_STEP_MS = 2000;
+const WAKE_DELAY_MS = 1000;
+const WATCHDOG_INTERVAL_MS = 3000;
+const WATCHDOG_STALL_CHECKS = 3; // Consecutive bad checks before playback counts as stalled
+const LOOP_MAX_WAIT_MS = 5000;
+const LOOP_TOLERANCE_MS = 300;
+const PREVIEW_VOLUME = 0.5;
+const RESTORE_VOLUMES_KEY = 'wakewave_connect_volumes';
+
+// Stands in for this browser's player in device preferences — its
+// Connect id changes every session
+export const BROWSER_DEVICE = 'browser';
+
+// What an alarm can play. Tracks and episodes play on their own,
+// everything else is a context that plays through its items.
+export const SOURCE_TYPES = ['track', 'playlist', 'album', 'artist', 'show', 'episode'];
+const CONTEXT_TYPES = ['playlist', 'album', 'artist', 'show'];
+// Spotify only accepts a start offset into these contexts
+const OFFSET_TYPES = ['playlist', 'album', 'show'];
+
+export function getUriType(uri) {
+    const type = (uri || '').split(':')[1];
+    return SOURCE_TYPES.includes(type) ? type : 'track';
+}
 
-// --- Web API ---
-
-async function spotifyFetch(endpoint, options = {}) {
-    await ensureValidToken();
-    const token = getAccessToken();
-    const res = await fetch(`https://api.spotify.com/v1${endpoint}`, {
-        ...options,
-        headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-            ...options.headers,
-        },
-    });
+export function isContextUri(uri) {
+    return CONTEXT_TYPES.includes(getUriType(uri));
+}
+
+export function supportsOffset(uri) {
+    return OFFSET_TYPES.includes(getUriType(uri));
+}
+
+// --- Search ---
+
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_OFFSET = 1000; // Spotify won't page past this
+const SEARCH_CACHE_SIZE = 100;
+
+// Spotify's field filters, by the types they narrow down
+export const SEARCH_FILTERS = {
+    track: ['artist', 'album', 'year'],
+    album: ['artist', 'year'],
+    artist: ['year'],
+};
+
+// Pages already fetched this session, so re-typing a query is free
+const searchCache = new Map(); // "type|q|offset" -> page
+
+// Resolves with { results, total, nextOffset } — nextOffset is null on
+// the last page. `filters` maps SEARCH_FILTERS fields to values, e.g.
+// { artist: 'Daft Punk', year: '1995-2001' }.
+export async function searchSpotify(query, type = 'track', { offset = 0, filters = {} } = {}) {
+    const q = buildSearchQuery(query, type, filters);
+    if (q.length < 2) return { results: [], total: 0, nextOffset: null };
+
+    const key = `${type}|${q}|${offset}`;
+    if (searchCache.has(key)) return searchCache.get(key);
+
+    // Results for the user's own market, which also flags what they can't play
+    const data = await getProvider().search(q, type, { limit: SEARCH_PAGE_SIZE, offset, market: 'from_token' });
+    const items = data?.[`${type}s`];
+    const nextOffset = offset + SEARCH_PAGE_SIZE;
+    const page = {
+        // Playlist results can contain nulls for removed playlists
+        results: (items?.items || []).filter(Boolean).map(item => toSearchResult(item, type)),
+        total: items?.total || 0,
+        nextOffset: items?.next && nextOffset < SEARCH_MAX_OFFSET ? nextOffset : null,
+    };
+
+    searchCache.set(key, page);
+    if (searchCache.size > SEARCH_CACHE_SIZE) searchCache.delete(searchCache.keys().next().value);
+    return page;
+}
+
+function buildSearchQuery(query, type, filters) {
+    const fields = (SEARCH_FILTERS[type] || [])
+        .map(field => [field, (filters[field] || '').replace(/"/g, '').trim()])
+        .filter(([field, value]) => value && (field !== 'year' || /^\d{4}(-\d{4})?$/.test(value)))
+        .map(([field, value]) => (/\s/.test(value) ? `${field}:"${value}"` : `${field}:${value}`));
+    return [query.trim(), ...fields].filter(Boolean).join(' ');
+}
+
+function toSearchResult(item, type) {
+    const images = (type === 'track' ? item.album.images : item.images) || [];
+    const result = {
+        id: item.id,
+        uri: item.uri,
+        type,
+        name: item.name,
+        image: images[1]?.url || images[0]?.url || '',
+        imageSmall: images[2]?.url || images[0]?.url || '',
+        duration: item.duration_ms || null,
+        size: 0,
+        // Only tracks and episodes say, and only when a market is given
+        playable: item.is_playable !== false,
+        unplayableReason: item.restrictions?.reason || null,
+    };
+
+    switch (type) {
+        case 'track':
+            return { ...result, artist: item.artists.map(a => a.name).join(', '), album: item.album.name };
+        case 'playlist':
+            return { ...result, artist: `Playlist · ${item.owner?.display_name || 'Spotify'}`, size: item.tracks?.total || 0 };
+        case 'album':
+            return { ...result, artist: `Album · ${item.artists.map(a => a.name).join(', ')}`, size: item.total_tracks || 0 };
+        case 'artist':
+            return { ...result, artist: 'Artist' };
+        case 'show':
+            return { ...result, artist: `Podcast · ${item.publisher}`, size: item.total_episodes || 0 };
+        case 'episode':
+            return { ...result, artist: `Episode · ${item.release_date}` };
+        default:
+            return result;
+    }
+}
+
+// --- Library ---
+
+const LIBRARY_PAGE_SIZE = 20;
+
+// The user's own music, and the OAuth scope each needs beyond the login ones
+export const LIBRARY_SCOPES = {
+    liked: 'user-library-read',
+    recent: 'user-read-recently-played',
+    top: 'user-top-read',
+    // Without it only public playlists are listed
+    playlists: 'playlist-read-private',
+};
+
+export const TOP_TRACK_RANGES = ['short_term', 'medium_term', 'long_term'];
+
+export function hasLibraryAccess(source) {
+    return getProvider().hasScope(LIBRARY_SCOPES[source]);
+}
+
+export function libraryAccessDeclined(source) {
+    return getProvider().scopeDeclined(LIBRARY_SCOPES[source]);
+}
+
+// Asks for all of them at once — one trip to Spotify's consent screen
+export function requestLibraryAccess() {
+    return getProvider().requestScopes(Object.values(LIBRARY_SCOPES));
+}
+
+// Resolves with a page shaped like searchSpotify()'s. Recently played is
+// paged by time, so its nextOffset is a `before` timestamp, not an index.
+export async function getLibraryPage(source, { offset = 0, timeRange = 'medium_term' } = {}) {
+    const provider = getProvider();
+    const limit = LIBRARY_PAGE_SIZE;
+    let data;
+    switch (source) {
+        case 'liked':
+            data = await provider.getSavedTracks({ limit, offset, market: 'from_token' });
+            break;
+        case 'recent':
+            data = await provider.getRecentlyPlayed({ limit, before: offset || null });
+            break;
+        case 'top':
+            data = await provider.getTopTracks(timeRange, { limit, offset });
+            break;
+        case 'playlists':
+            data = await provider.getPlaylists({ limit, offset });
+            break;
+        default:
+            throw new Error(`Unknown library source: ${source}`);
+    }
 
-    if (res.status === 401) {
-        await ensureValidToken();
-        // Retry once
-        const token2 = getAccessToken();
-        return fetch(`https://api.spotify.com/v1${endpoint}`, {
-            ...options,
-            headers: {
-                Authorization: `Bearer ${token2}`,
-                'Content-Type': 'application/json',
-                ...options.headers,
-            },
-        }).then(r => r.json());
-    }
-
-    if (res.status === 204) return null;
-    return res.json();
-}
-
-export async function searchTracks(query) {
-    if (!query || query.length < 2) return [];
-    const data = await spotifyFetch(`/search?q=${encodeURIComponent(query)}&type=track&limit=10`);
-    if (!data || !data.tracks) return [];
-    return data.tracks.items.map(track => ({
-        id: track.id,
-        uri: track.uri,
-        name: track.name,
-        artist: track.artists.map(a => a.name).join(', '),
-        album: track.album.name,
-        image: track.album.images[1]?.url || track.album.images[0]?.url || '',
-        imageSmall: track.album.images[2]?.url || track.album.images[0]?.url || '',
-        duration: track.duration_ms,
-    }));
+    const type = source === 'playlists' ? 'playlist' : 'track';
+    // Saved and recent tracks come wrapped with when they were added / played
+    const items = (data?.items || []).map(item => (source === 'liked' || source === 'recent' ? item.track : item));
+    const nextOffset = source === 'recent' ? Number(data?.cursors?.before) || null : offset + limit;
+    return {
+        results: items.filter(Boolean).map(item => toSearchResult(item, type)),
+        total: data?.total || 0,
+        nextOffset: data?.next ? nextOffset : null,
+    };
+}
+
+// Spotify Connect devices the user can play on right now
+export async function getDevices() {
+    return getProvider().getDevices();
 }
 
 export async function getUserProfile() {
-    return spotifyFetch('/me');
+    return getProvider().getProfile();
 }
 
 export function formatDuration(ms) {
@@ -78,14 +229,9 @@ export function initPlayer() {
 
         onPlayerReadyCallback = resolve;
 
-        window.onSpotifyWebPlaybackSDKReady = () => {
-            const token = getAccessToken();
-            player = new Spotify.Player({
+        getProvider().onPlayerReady(() => {
+            player = getProvider().createPlayer({
                 name: 'WakeWave Alarm Clock',
-                getOAuthToken: async cb => {
-                    await ensureValidToken();
-                    cb(getAccessToken());
-                },
                 volume: 0.0, // Start silent for fade-in
             });
 
@@ -117,105 +263,519 @@ export function initPlayer() {
             });
 
             player.connect();
-        };
-
-        // If SDK already loaded, trigger manually
-        if (window.Spotify) {
-            window.onSpotifyWebPlaybackSDKReady();
-        }
+        });
     });
 }
 
-import { playAlarmSound, stopAlarmSound, openSpotifyDeepLink } from './alarmSound.js';
+import { playAlarmSound, stopAlarmSound, isAlarmSoundPlaying, openSpotifyDeepLink } from './alarmSound.js';
+
+// Plays a track or episode, or a context (playlist, album, artist, podcast)
+// with optional shuffle and a start position. A shuffled context without
+// a start position starts on a random item (when its size is known).
+// `position` (ms) skips into the first song, and `loopEnd` (ms) loops
+// from there back to `position` until the alarm is handled.
+// Preferred devices are tried in order before the generic fallbacks.
+// `exclude` skips devices that already failed to play (see watchPlayback).
+// An auth or Premium problem goes straight to the fallback.
+// Aborting `signal` (the alarm was handled) stops the device walk and
+// pauses anything that starts playing after all; it then resolves with null.
+export async function startPlayback(uri, {
+    shuffle = false, offset = null, size = 0, fade = DEFAULT_FADE, devices: preferred = [], exclude = [],
+    position = 0, loopEnd = null, signal = null,
+} = {}) {
+    playbackTarget = null;
+    // A new alarm (not a retry on another device): a volume still waiting
+    // to be restored is left over from an earlier one, so put it back now
+    // rather than carry it over
+    if (exclude.length === 0) await restoreConnectVolume();
+    if (shuffle && offset == null && size > 0 && supportsOffset(uri)) {
+        offset = Math.floor(Math.random() * size);
+    }
+    const request = {
+        uri,
+        body: buildPlayBody(uri, offset, position),
+        shuffle,
+        fade,
+        loop: loopEnd > position ? { start: position, end: loopEnd } : null,
+        signal,
+    };
+    try {
+        const result = await tryDevices(request, preferred, exclude);
+        if (signal?.aborted) return null;
+        if (result) return result;
+    } catch (err) {
+        if (signal?.aborted) return null;
+        // Every device would fail the same way — no point trying the rest
+        if (!isAccountError(err)) throw err;
+        console.warn(`⚠️ ${err.message}`);
+    }
 
-export async function playTrack(trackUri) {
-    await ensureValidToken();
-    const token = getAccessToken();
+    // Strategy 3: Last resort — chime + open Spotify app
+    console.log('⚠️ No Spotify playback available — using fallback');
+    if (!isAlarmSoundPlaying()) playAlarmSound(fade);
+    openSpotifyDeepLink(uri);
+    return 'fallback';
+}
 
-    // Strategy 1: Use browser SDK player if available
-    if (deviceId) {
-        try {
-            const res = await fetch(`https://api.spotify.com/v1/me/player/play?device_id=${deviceId}`, {
-                method: 'PUT',
-                headers: {
-                    Authorization: `Bearer ${token}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ uris: [trackUri] }),
-            });
-            if (res.ok || res.status === 204) {
-                console.log('🎵 Playing via browser SDK player');
-                fadeInVolume(30);
-                return true;
+// Problems with the account rather than a device — every device would fail
+function isAccountError(err) {
+    return err instanceof SpotifyAuthError || err instanceof SpotifyPremiumError;
+}
+
+// Walks the devices in order of preference. Resolves with true (browser)
+// or 'connect', or null if none of them could play.
+async function tryDevices(request, preferred, exclude) {
+    const browserAllowed = !exclude.includes(BROWSER_DEVICE);
+    const isExcluded = (device) => exclude.includes(device.id) || (!browserAllowed && device.id === deviceId);
+
+    // Strategy 0: The alarm's own device preferences, in order
+    if (preferred.length > 0) {
+        const devices = await getDevices().catch(err => {
+            if (err instanceof SpotifyAuthError) throw err;
+            return [];
+        });
+        for (const [i, pref] of preferred.entries()) {
+            const rank = `preferred #${i + 1}`;
+            if (exclude.includes(pref.id)) continue;
+            if (pref.id === BROWSER_DEVICE) {
+                if (!deviceId) console.log(`📵 This browser's player (${rank}) isn't ready`);
+                else if (await playInBrowser(request, rank)) return true;
+                continue;
             }
-            console.warn('SDK play response:', res.status);
-        } catch (err) {
-            console.warn('SDK play failed:', err);
+            // Some devices get a new id now and then — fall back to the name
+            let device = devices.find(d => d.id === pref.id) || devices.find(d => d.name === pref.name);
+            if (!device || isExcluded(device)) {
+                console.log(`📵 ${pref.name} (${rank}) isn't available`);
+                continue;
+            }
+            if (!device.is_active) {
+                if (!await wakeDevice(device)) continue;
+                device = { ...device, is_active: true };
+            }
+            if (await playOnConnectDevice(device, request, rank)) return 'connect';
         }
+        if (request.signal?.aborted) return null;
+        console.log('⚠️ No preferred device could play — trying the usual devices');
     }
 
+    // Strategy 1: Use browser SDK player if available
+    if (deviceId && browserAllowed && await playInBrowser(request, 'browser player')) return true;
+
     // Strategy 2: Play on any active Spotify device (e.g. Spotify app on phone)
     console.log('📱 Trying Spotify Connect — looking for active devices...');
     try {
-        const devicesRes = await fetch('https://api.spotify.com/v1/me/player/devices', {
-            headers: { Authorization: `Bearer ${token}` },
-        });
-        const devicesData = await devicesRes.json();
-        const devices = devicesData.devices || [];
+        const devices = (await getDevices()).filter(d => !isExcluded(d));
         console.log('🔍 Found devices:', devices.map(d => `${d.name} (${d.type}, active:${d.is_active})`));
 
         // Pick the best device: prefer active, then any available
         const activeDevice = devices.find(d => d.is_active) || devices[0];
 
         if (activeDevice) {
-            console.log(`🎯 Playing on: ${activeDevice.name} (${activeDevice.type})`);
-            const playRes = await fetch(
-                `https://api.spotify.com/v1/me/player/play?device_id=${activeDevice.id}`, {
-                method: 'PUT',
-                headers: {
-                    Authorization: `Bearer ${token}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ uris: [trackUri] }),
-            });
-            if (playRes.ok || playRes.status === 204) {
-                console.log('🎵 Playing via Spotify Connect!');
-                return 'connect';
-            }
-            console.warn('Connect play response:', playRes.status);
+            if (await playOnConnectDevice(activeDevice, request, 'active device')) return 'connect';
         } else {
             console.log('📵 No Spotify devices found');
         }
     } catch (err) {
-        console.warn('Spotify Connect failed:', err);
+        if (isAccountError(err)) throw err;
+        console.warn('Spotify Connect failed:', err.message);
     }
 
-    // Strategy 3: Last resort — chime + open Spotify app
-    console.log('⚠️ No Spotify playback available — using fallback');
-    playAlarmSound();
-    openSpotifyDeepLink(trackUri);
-    return 'fallback';
+    return null;
 }
 
-async function fadeInVolume(durationSeconds) {
-    if (!player) return;
+// Account errors are thrown, see isAccountError()
+async function playInBrowser({ uri, body, shuffle, fade, loop, signal }, reason) {
+    if (signal?.aborted) return false;
+    try {
+        await getProvider().play(deviceId, body);
+        if (signal?.aborted) return undoCancelledPlay(deviceId);
+        console.log(`🎵 Playing via browser SDK player (${reason})`);
+        playbackTarget = BROWSER_DEVICE;
+        if (isContextUri(uri)) setShuffle(deviceId, shuffle);
+        fadeInVolume(fade);
+        if (loop) startSectionLoop(loop, deviceId);
+        return true;
+    } catch (err) {
+        if (isAccountError(err)) throw err;
+        console.warn('SDK play failed:', err.message);
+    }
+    return false;
+}
+
+async function playOnConnectDevice(device, { uri, body, shuffle, fade, loop, signal }, reason) {
+    if (signal?.aborted) return false;
+    console.log(`🎯 Playing on: ${device.name} (${device.type}, ${reason})`);
+    const canFade = device.supports_volume !== false;
+    if (canFade && device.volume_percent != null) rememberConnectVolume(device);
+    // Drop an active device to the start volume before it starts playing
+    let startVolumeSet = false;
+    if (canFade && device.is_active) {
+        startVolumeSet = await setDeviceVolume(device.id, volumePercent(fade, 0))
+            .then(() => true)
+            .catch(err => {
+                console.warn('Could not set Connect volume:', err.message);
+                return false;
+            });
+    }
+
+    try {
+        await getProvider().play(device.id, body);
+        if (signal?.aborted) return undoCancelledPlay(device.id);
+        console.log(`🎵 Playing via Spotify Connect on ${device.name}!`);
+        playbackTarget = device.id;
+        if (isContextUri(uri)) setShuffle(device.id, shuffle);
+        if (canFade) {
+            fadeConnectVolume(device, fade, startVolumeSet);
+        } else {
+            console.log(`🔈 ${device.name} doesn't allow volume control — playing without fade`);
+        }
+        if (loop) startSectionLoop(loop, device.id);
+        return true;
+    } catch (err) {
+        await restoreConnectVolume();
+        if (isAccountError(err)) throw err;
+        console.warn('Connect play failed:', err.message);
+    }
+    return false;
+}
 
-    const steps = 30;
-    const interval = (durationSeconds * 1000) / steps;
-    let currentStep = 0;
+// The alarm was handled while its play request was in flight — stop what
+// just started rather than let it play through a snooze or the next alarm.
+// Resolves with true so the device walk ends here.
+async function undoCancelledPlay(targetDeviceId) {
+    console.log('⏹️ Alarm was handled meanwhile — stopping its late playback');
+    if (targetDeviceId === deviceId && player) {
+        await player.pause().catch(() => { });
+    } else {
+        await getProvider().pause().catch(() => { });
+    }
+    await restoreConnectVolume();
+    return true;
+}
 
-    const fade = setInterval(() => {
-        currentStep++;
-        const volume = Math.min(currentStep / steps, 1.0);
+// An idle device has to be made the active one before it will play
+async function wakeDevice(device) {
+    console.log(`⏰ Waking ${device.name} with a playback transfer...`);
+    try {
+        await getProvider().transfer(device.id);
+        // Give the device a moment to take over
+        await new Promise(resolve => setTimeout(resolve, WAKE_DELAY_MS));
+        return true;
+    } catch (err) {
+        if (isAccountError(err)) throw err;
+        console.warn(`Could not wake ${device.name}:`, err.message);
+        return false;
+    }
+}
+
+function buildPlayBody(uri, offset, position = 0) {
+    const body = isContextUri(uri) ? { context_uri: uri } : { uris: [uri] };
+    if (offset != null && supportsOffset(uri)) {
+        body.offset = { position: offset };
+    }
+    if (position > 0) {
+        body.position_ms = position;
+    }
+    return body;
+}
+
+// Shuffle is a player setting, so it's set on every context play —
+// otherwise a shuffle left on from last night would carry over
+async function setShuffle(targetDeviceId, state) {
+    try {
+        await getProvider().setShuffle(targetDeviceId, state);
+    } catch (err) {
+        console.warn('Could not set shuffle:', err.message);
+    }
+}
+
+function fadeInVolume(fade) {
+    if (!player) return;
+    if (stopFade) stopFade();
+    stopFade = runFade(fade, volume => {
         player.setVolume(volume).catch(() => { });
+    });
+}
+
+// Ramps a Connect device's volume along the fade, then leaves it there
+// until dismiss or snooze puts the original volume back
+async function fadeConnectVolume(device, fade, startVolumeSet = false) {
+    if (stopConnectFade) stopConnectFade();
+    let cancelled = false;
+    stopConnectFade = () => { cancelled = true; };
+
+    const startedAt = Date.now();
+    let lastSent = startVolumeSet ? volumePercent(fade, 0) : null;
+
+    while (!cancelled) {
+        const elapsed = (Date.now() - startedAt) / 1000;
+        const percent = volumePercent(fade, elapsed);
+        let wait = CONNECT_STEP_MS;
+
+        if (percent !== lastSent) {
+            try {
+                await setDeviceVolume(device.id, percent);
+                if (cancelled) return;
+                lastSent = percent;
+            } catch (err) {
+                if (cancelled) return;
+                if (err instanceof SpotifyRateLimitError) {
+                    // Rate limited — wait as long as we're told before the next step
+                    wait = Math.max(wait, err.retryAfter * 1000);
+                    console.warn(`Connect volume rate limited — retrying in ${err.retryAfter}s`);
+                } else {
+                    // e.g. 403 when the device refuses remote volume changes
+                    console.warn('Connect volume fade stopped:', err.message);
+                    return;
+                }
+            }
+        }
+
+        if (elapsed >= fade.duration && lastSent === percent) return;
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+}
+
+// No retries — the fade's next step is the retry, and it knows how long to wait
+function setDeviceVolume(targetDeviceId, percent) {
+    return getProvider().setVolume(targetDeviceId, percent, { retries: 0 });
+}
+
+function getSavedConnectVolumes() {
+    try {
+        return JSON.parse(localStorage.getItem(RESTORE_VOLUMES_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+// Keeps the volume from before the alarm if it comes back to a device
+// it already turned down (e.g. a watchdog retry)
+function rememberConnectVolume(device) {
+    const volumes = { ...getSavedConnectVolumes(), ...connectVolumesToRestore };
+    if (device.id in volumes) return;
+    connectVolumesToRestore = { ...volumes, [device.id]: device.volume_percent };
+    localStorage.setItem(RESTORE_VOLUMES_KEY, JSON.stringify(connectVolumesToRestore));
+}
+
+// Puts back every volume an alarm changed, whichever tab changed it
+export async function restoreConnectVolume() {
+    if (stopConnectFade) {
+        stopConnectFade();
+        stopConnectFade = null;
+    }
+    const volumes = { ...getSavedConnectVolumes(), ...connectVolumesToRestore };
+    connectVolumesToRestore = {};
+    localStorage.removeItem(RESTORE_VOLUMES_KEY);
+    await Promise.all(Object.entries(volumes).map(([restoreId, volume]) => getProvider().setVolume(restoreId, volume)
+        .catch(err => console.warn('Could not restore Connect volume:', err.message))));
+}
+
+function volumePercent(fade, elapsed) {
+    return Math.round(fadeVolumeAt(fade, elapsed) * 100);
+}
+
+// --- Playback Watchdog ---
+//
+// A successful play request only means Spotify accepted it. The watchdog
+// polls the player until the position is moving at an audible volume
+// (onConfirmed), then keeps watching — if playback stops progressing
+// before the alarm is handled, onStall gets the device that went quiet.
+
+export function watchPlayback({ fade = DEFAULT_FADE, onConfirmed, onStall }) {
+    stopPlaybackWatchdog();
+    const target = playbackTarget;
+    const startedAt = Date.now();
+    let cancelled = false;
+    let confirmed = false;
+    let badChecks = 0;
+    let last = null;
+    let timer = null;
+
+    const check = async () => {
+        let state;
+        try {
+            state = await getProvider().getState();
+        } catch {
+            state = undefined;
+        }
+        if (cancelled) return;
+
+        // Can't tell (offline, rate limited) — try again next time
+        if (state !== undefined) {
+            const progressing = isProgressing(state, last, fade, startedAt);
+            if (progressing === null) {
+                // Just started — one more sample to see the position move
+            } else if (progressing) {
+                badChecks = 0;
+                if (!confirmed) {
+                    confirmed = true;
+                    console.log('✅ Playback confirmed — music is audible');
+                    if (onConfirmed) onConfirmed();
+                }
+            } else if (++badChecks >= WATCHDOG_STALL_CHECKS) {
+                console.warn('🐕 Playback stalled:', describeStall(state, last));
+                stopPlaybackWatchdog();
+                if (onStall) onStall(target);
+                return;
+            }
+            last = state;
+        }
+        timer = setTimeout(check, WATCHDOG_INTERVAL_MS);
+    };
+
+    timer = setTimeout(check, WATCHDOG_INTERVAL_MS);
+    stopWatchdog = () => {
+        cancelled = true;
+        clearTimeout(timer);
+    };
+}
+
+export function stopPlaybackWatchdog() {
+    if (stopWatchdog) {
+        stopWatchdog();
+        stopWatchdog = null;
+    }
+}
+
+// true / false, or null when there's nothing to compare against yet
+function isProgressing(state, last, fade, startedAt) {
+    if (!state?.is_playing) return false;
+    // Muted where the fade should already be audible
+    const expected = fadeVolumeAt(fade, (Date.now() - startedAt) / 1000);
+    if (expected >= 0.05 && state.device?.volume_percent === 0) return false;
+    if (!last?.is_playing) return null;
+    // A new item (next track, ad) counts as progress; otherwise the position has to move
+    // Any change counts — a section loop seeks the position backwards
+    return state.item?.id !== last.item?.id || state.progress_ms !== last.progress_ms;
+}
+
+function describeStall(state, last) {
+    if (!state) return 'nothing is playing';
+    if (!state.is_playing) return 'playback is paused';
+    if (state.device?.volume_percent === 0) return `${state.device.name} is muted`;
+    if (last && state.progress_ms === last.progress_ms) return 'position isn\'t moving';
+    return 'no progress';
+}
 
-        if (currentStep >= steps) {
-            clearInterval(fade);
+// Escalation: skip the rest of the fade and go to full volume on
+// whichever device the alarm is playing on
+export async function boostPlayback() {
+    if (stopFade) {
+        stopFade();
+        stopFade = null;
+    }
+    if (playbackTarget === BROWSER_DEVICE) {
+        if (player) await player.setVolume(1.0).catch(() => { });
+    } else if (playbackTarget) {
+        if (stopConnectFade) {
+            stopConnectFade();
+            stopConnectFade = null;
         }
-    }, interval);
+        await setDeviceVolume(playbackTarget, 100)
+            .catch(err => console.warn('Could not turn up Connect volume:', err.message));
+    }
+}
+
+// --- Section Loop ---
+//
+// Seeks back to the start of the section whenever the first song reaches
+// the loop end. Checks are timed for when the end is due, so the overshoot
+// is about one request's latency.
+
+function startSectionLoop({ start, end }, targetDeviceId) {
+    stopSectionLoop();
+    let cancelled = false;
+    let timer = null;
+    let itemId = null;
+
+    const tick = async () => {
+        let state;
+        try {
+            state = await getProvider().getState();
+        } catch {
+            state = null;
+        }
+        if (cancelled) return;
+
+        let wait = LOOP_MAX_WAIT_MS;
+        if (state?.item) {
+            itemId ??= state.item.id;
+            // The context moved on — the loop only applies to the first song
+            if (state.item.id !== itemId) return;
+
+            // Don't let a loop end past the song let it finish
+            const loopEnd = Math.min(end, state.item.duration_ms - 1000);
+            const remaining = loopEnd - state.progress_ms;
+            if (remaining <= LOOP_TOLERANCE_MS) {
+                await getProvider().seek(targetDeviceId, start)
+                    .catch(err => console.warn('Loop seek failed:', err));
+                console.log(`🔁 Looping back to ${formatDuration(start)}`);
+            } else if (state.is_playing) {
+                wait = Math.min(remaining, LOOP_MAX_WAIT_MS);
+            }
+        }
+        if (!cancelled) timer = setTimeout(tick, wait);
+    };
+
+    timer = setTimeout(tick, 1000);
+    stopLoop = () => {
+        cancelled = true;
+        clearTimeout(timer);
+    };
+}
+
+function stopSectionLoop() {
+    if (stopLoop) {
+        stopLoop();
+        stopLoop = null;
+    }
+}
+
+// --- Editor Preview ---
+
+// Plays a song in this browser from a position, for picking a start point.
+// Throws a SpotifyError the editor can show if it can't.
+export async function playPreview(uri, position = 0) {
+    if (!deviceId || !player) return false;
+    if (stopFade) {
+        stopFade();
+        stopFade = null;
+    }
+    await player.setVolume(PREVIEW_VOLUME).catch(() => { });
+    await getProvider().play(deviceId, buildPlayBody(uri, null, position));
+    return true;
+}
+
+export async function stopPreview() {
+    if (player) await player.pause().catch(() => { });
+}
+
+// Stops what an alarm's playback keeps running in this tab: the watchdog,
+// the section loop and the fades
+function stopPlaybackTimers() {
+    stopPlaybackWatchdog();
+    stopSectionLoop();
+    if (stopFade) {
+        stopFade();
+        stopFade = null;
+    }
+    if (stopConnectFade) {
+        stopConnectFade();
+        stopConnectFade = null;
+    }
+}
+
+// For an alarm handled in another tab, which already paused Spotify:
+// stop what's running here and put a faded Connect device's volume back
+export async function endAlarmPlayback() {
+    stopPlaybackTimers();
+    await restoreConnectVolume();
 }
 
 export async function pausePlayback() {
+    // The pause below would look like a stall
+    stopPlaybackTimers();
     // Stop fallback alarm sound
     stopAlarmSound();
     // Stop Spotify browser player
@@ -223,16 +783,10 @@ export async function pausePlayback() {
         await player.pause().catch(() => { });
     }
     // Also pause via Spotify Connect API (for phone/other devices)
-    try {
-        await ensureValidToken();
-        const token = getAccessToken();
-        if (token) {
-            await fetch('https://api.spotify.com/v1/me/player/pause', {
-                method: 'PUT',
-                headers: { Authorization: `Bearer ${token}` },
-            }).catch(() => { });
-        }
-    } catch { }
+    // Already paused (or nothing to pause) comes back as an error — fine here
+    await getProvider().pause().catch(() => { });
+    // Put a faded Connect device back how we found it, now it's quiet
+    await restoreConnectVolume();
 }
 
 export async function resumePlayback() {
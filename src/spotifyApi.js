@@ -0,0 +1,198 @@
+// ============================================
+// Spotify Web API — Requests, Retries, Errors
+// ============================================
+//
+// Every Web API call goes through spotifyFetch(), which:
+// - refreshes the token once on a 401
+// - waits out a 429 for as long as Retry-After says (if that's short)
+// - retries 5xx and network errors with exponential backoff
+// - gives up on a request that hangs past its timeout
+// - throws a typed error instead of returning Spotify's error JSON,
+//   so callers can tell "no results" from "that didn't work"
+// Error messages are written to be shown to the user as they are.
+//
+// The network and the session behind it can be swapped out with
+// setApiBackend() — the offline mock (mockSpotify.js) does this so its
+// faked responses go through the same retries and errors.
+
+import { getAccessToken, ensureValidToken, refreshAccessToken } from './auth.js';
+
+const API_BASE = 'https://api.spotify.com/v1';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+// Longer Retry-After waits aren't worth holding a request (or an alarm) for
+const MAX_RETRY_AFTER_S = 30;
+
+let backend = {
+    fetch: (url, options) => fetch(url, options),
+    getToken: getAccessToken,
+    ensureToken: ensureValidToken,
+    refreshToken: refreshAccessToken,
+};
+
+export function setApiBackend(overrides) {
+    backend = { ...backend, ...overrides };
+}
+
+// --- Errors ---
+
+export class SpotifyError extends Error {
+    constructor(message, { status = 0, reason = null } = {}) {
+        super(message);
+        this.name = 'SpotifyError';
+        this.status = status;
+        this.reason = reason;
+    }
+}
+
+// Not logged in, or the session couldn't be refreshed
+export class SpotifyAuthError extends SpotifyError {
+    constructor(message = 'Your Spotify session expired — log in again', details) {
+        super(message, details);
+        this.name = 'SpotifyAuthError';
+    }
+}
+
+export class SpotifyRateLimitError extends SpotifyError {
+    constructor(retryAfter, details) {
+        super(`Spotify is busy — try again in ${retryAfter}s`, { status: 429, ...details });
+        this.name = 'SpotifyRateLimitError';
+        this.retryAfter = retryAfter; // seconds
+    }
+}
+
+// Playback control needs a Premium account
+export class SpotifyPremiumError extends SpotifyError {
+    constructor(details) {
+        super('Playing from WakeWave needs Spotify Premium', { status: 403, ...details });
+        this.name = 'SpotifyPremiumError';
+    }
+}
+
+// The session wasn't granted the OAuth scope the endpoint needs
+export class SpotifyScopeError extends SpotifyError {
+    constructor(details) {
+        super('WakeWave doesn\'t have access to that part of your Spotify account', { status: 403, ...details });
+        this.name = 'SpotifyScopeError';
+    }
+}
+
+export class SpotifyNoDeviceError extends SpotifyError {
+    constructor(details) {
+        super('No Spotify device is available — open Spotify on a device', { status: 404, ...details });
+        this.name = 'SpotifyNoDeviceError';
+    }
+}
+
+// Offline, blocked, or timed out
+export class SpotifyNetworkError extends SpotifyError {
+    constructor(message = 'Can\'t reach Spotify — check your connection', details) {
+        super(message, details);
+        this.name = 'SpotifyNetworkError';
+    }
+}
+
+// --- Requests ---
+
+// Resolves with the parsed JSON, or null for an empty response (e.g. 204)
+export async function spotifyFetch(endpoint, {
+    timeout = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, headers, ...options
+} = {}) {
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+        if (!await backend.ensureToken()) throw new SpotifyAuthError();
+
+        let res;
+        try {
+            res = await fetchWithTimeout(`${API_BASE}${endpoint}`, {
+                ...options,
+                headers: {
+                    Authorization: `Bearer ${backend.getToken()}`,
+                    'Content-Type': 'application/json',
+                    ...headers,
+                },
+            }, timeout);
+        } catch (err) {
+            if (attempt < retries) {
+                await sleep(backoff(attempt));
+                continue;
+            }
+            throw err.name === 'AbortError'
+                ? new SpotifyNetworkError('Spotify took too long to answer')
+                : new SpotifyNetworkError();
+        }
+
+        if (res.status === 401 && !refreshed) {
+            // The token can be revoked before it expires — refresh and retry once
+            refreshed = true;
+            if (!await backend.refreshToken()) throw new SpotifyAuthError();
+            attempt--;
+            continue;
+        }
+
+        if (res.status === 429) {
+            const retryAfter = parseInt(res.headers.get('Retry-After')) || Math.ceil(backoff(attempt) / 1000);
+            if (attempt < retries && retryAfter <= MAX_RETRY_AFTER_S) {
+                console.warn(`Spotify rate limited — retrying in ${retryAfter}s`);
+                await sleep(retryAfter * 1000);
+                continue;
+            }
+            throw new SpotifyRateLimitError(retryAfter);
+        }
+
+        if (res.status >= 500 && attempt < retries) {
+            await sleep(backoff(attempt));
+            continue;
+        }
+
+        if (!res.ok) throw await toError(res);
+        return readBody(res);
+    }
+}
+
+async function fetchWithTimeout(url, options, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+        return await backend.fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// 204s, and some 200s from the player endpoints, have no body
+async function readBody(res) {
+    if (res.status === 204) return null;
+    const text = await res.text();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+async function toError(res) {
+    const body = await readBody(res).catch(() => null);
+    const { message, reason } = body?.error || {};
+    const details = { status: res.status, reason: reason || null };
+
+    if (res.status === 401) return new SpotifyAuthError(undefined, details);
+    if (reason === 'PREMIUM_REQUIRED') return new SpotifyPremiumError(details);
+    if (res.status === 403 && /scope/i.test(message || '')) return new SpotifyScopeError(details);
+    if (reason === 'NO_ACTIVE_DEVICE' || (res.status === 404 && /device/i.test(message || ''))) {
+        return new SpotifyNoDeviceError(details);
+    }
+    return new SpotifyError(message ? `Spotify: ${message}` : `Spotify request failed (${res.status})`, details);
+}
+
+// 0.5s, 1s, 2s… with jitter so several tabs don't retry in lockstep
+function backoff(attempt) {
+    return BACKOFF_BASE_MS * Math.pow(2, attempt) + Math.random() * BACKOFF_BASE_MS / 2;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
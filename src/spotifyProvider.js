@@ -0,0 +1,108 @@
+// ============================================
+// Spotify Provider — Web API + Web Playback SDK
+// ============================================
+//
+// The real playback provider (see playbackProvider.js).
+
+import { getAccessToken, ensureValidToken, hasScope, wasScopeDeclined, requestScopes } from './auth.js';
+import { spotifyFetch } from './spotifyApi.js';
+
+export const spotifyProvider = {
+    name: 'Spotify',
+
+    search(query, type, { limit = 10, offset = 0, market = null } = {}) {
+        const params = new URLSearchParams({ q: query, type, limit, offset });
+        if (market) params.set('market', market);
+        return spotifyFetch(`/search?${params}`);
+    },
+
+    getProfile() {
+        return spotifyFetch('/me');
+    },
+
+    getSavedTracks({ limit = 20, offset = 0, market = null } = {}) {
+        const params = new URLSearchParams({ limit, offset });
+        if (market) params.set('market', market);
+        return spotifyFetch(`/me/tracks?${params}`);
+    },
+
+    getRecentlyPlayed({ limit = 20, before = null } = {}) {
+        const params = new URLSearchParams({ limit });
+        if (before) params.set('before', before);
+        return spotifyFetch(`/me/player/recently-played?${params}`);
+    },
+
+    getTopTracks(timeRange, { limit = 20, offset = 0 } = {}) {
+        const params = new URLSearchParams({ time_range: timeRange, limit, offset });
+        return spotifyFetch(`/me/top/tracks?${params}`);
+    },
+
+    getPlaylists({ limit = 20, offset = 0 } = {}) {
+        return spotifyFetch(`/me/playlists?${new URLSearchParams({ limit, offset })}`);
+    },
+
+    hasScope,
+    scopeDeclined: wasScopeDeclined,
+    requestScopes,
+
+    async getDevices() {
+        const data = await spotifyFetch('/me/player/devices');
+        return data?.devices || [];
+    },
+
+    getState() {
+        return spotifyFetch('/me/player');
+    },
+
+    play(deviceId, body) {
+        return spotifyFetch(`/me/player/play?device_id=${deviceId}`, {
+            method: 'PUT',
+            body: JSON.stringify(body),
+        });
+    },
+
+    async pause() {
+        // Nothing to pause without a session
+        if (!getAccessToken()) return null;
+        return spotifyFetch('/me/player/pause', { method: 'PUT', retries: 1 });
+    },
+
+    setVolume(deviceId, percent, { retries } = {}) {
+        return spotifyFetch(`/me/player/volume?volume_percent=${percent}&device_id=${deviceId}`, {
+            method: 'PUT',
+            retries,
+        });
+    },
+
+    setShuffle(deviceId, state) {
+        return spotifyFetch(`/me/player/shuffle?state=${state}&device_id=${deviceId}`, { method: 'PUT' });
+    },
+
+    seek(deviceId, positionMs) {
+        return spotifyFetch(`/me/player/seek?position_ms=${positionMs}&device_id=${deviceId}`, { method: 'PUT' });
+    },
+
+    transfer(deviceId) {
+        return spotifyFetch('/me/player', {
+            method: 'PUT',
+            body: JSON.stringify({ device_ids: [deviceId], play: false }),
+        });
+    },
+
+    // The SDK script (index.html) calls onSpotifyWebPlaybackSDKReady when
+    // it loads — or already has
+    onPlayerReady(callback) {
+        window.onSpotifyWebPlaybackSDKReady = callback;
+        if (window.Spotify) callback();
+    },
+
+    createPlayer(options) {
+        return new window.Spotify.Player({
+            ...options,
+            getOAuthToken: async cb => {
+                await ensureValidToken();
+                cb(getAccessToken());
+            },
+        });
+    },
+};
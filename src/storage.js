@@ -0,0 +1,327 @@
+// ============================================
+// Alarm Storage — Versioning, Validation, Rollback
+// ============================================
+//
+// Alarms are stored as { version, alarms } under one key. On load:
+// 1. Unreadable JSON, or JSON that isn't alarm data, rolls back to the
+//    last good snapshot
+// 2. Older data is migrated forward one version at a time
+// 3. Each record is validated — bad ones are quarantined, not dropped
+//    along with everything else
+// Every save first keeps the previous good data as the snapshot.
+
+import { FADE_CURVES } from './fade.js';
+import { ROTATION_MODES } from './rotation.js';
+
+export const ALARMS_KEY = 'wakewave_alarms';
+const SNAPSHOT_KEY = 'wakewave_alarms_snapshot';
+export const QUARANTINE_KEY = 'wakewave_alarms_quarantine';
+
+export const STORAGE_VERSION = 9;
+
+// Fields every record gets if it was saved before they existed — a new
+// object each time, so records never share the array defaults
+function alarmDefaults() {
+    return {
+        label: '',
+        trackUri: '',
+        trackName: '',
+        trackArtist: '',
+        trackImage: '',
+        enabled: true,
+        days: [],
+        recurrence: null,
+        groupId: null,
+        timeZone: null,
+        shuffle: false,
+        startOffset: null,
+        sourceSize: 0,
+        pool: [],
+        rotation: 'random',
+        played: [],
+        nextPoolIndex: 0,
+        fade: null,
+        devices: [],
+        startPosition: 0,
+        loopEnd: null,
+        escalation: null,
+        tone: null,
+        createdAt: 0,
+    };
+}
+
+const FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+
+// migrations[n] takes version n-1 data to version n
+const migrations = {
+    // v0 was a bare array of alarms
+    1: (data) => ({ version: 1, alarms: Array.isArray(data) ? data : data.alarms }),
+    // v2 added recurrence rules, groups and time zones
+    2: (data) => ({
+        version: 2,
+        alarms: data.alarms.map(alarm => ({
+            recurrence: null,
+            groupId: null,
+            timeZone: null,
+            ...alarm,
+        })),
+    }),
+    // v3 added playlists, albums, artists and podcasts as the alarm source
+    3: (data) => ({
+        version: 3,
+        alarms: data.alarms.map(alarm => ({
+            shuffle: false,
+            startOffset: null,
+            sourceSize: 0,
+            ...alarm,
+        })),
+    }),
+    // v4 turned the single song into a rotating pool
+    4: (data) => ({
+        version: 4,
+        alarms: data.alarms.map(alarm => ({
+            pool: alarm.trackUri ? [{
+                uri: alarm.trackUri,
+                name: alarm.trackName || '',
+                artist: alarm.trackArtist || '',
+                image: alarm.trackImage || '',
+                size: alarm.sourceSize || 0,
+            }] : [],
+            rotation: 'random',
+            played: [],
+            nextPoolIndex: 0,
+            ...alarm,
+        })),
+    }),
+    // v5 added per-alarm fade settings
+    5: (data) => ({
+        version: 5,
+        alarms: data.alarms.map(alarm => ({ fade: null, ...alarm })),
+    }),
+    // v6 added preferred playback devices
+    6: (data) => ({
+        version: 6,
+        alarms: data.alarms.map(alarm => ({ devices: [], ...alarm })),
+    }),
+    // v7 added a start position and loop end
+    7: (data) => ({
+        version: 7,
+        alarms: data.alarms.map(alarm => ({ startPosition: 0, loopEnd: null, ...alarm })),
+    }),
+    // v8 added escalation policies
+    8: (data) => ({
+        version: 8,
+        alarms: data.alarms.map(alarm => ({ escalation: null, ...alarm })),
+    }),
+    // v9 added a choice of fallback tone
+    9: (data) => ({
+        version: 9,
+        alarms: data.alarms.map(alarm => ({ tone: null, ...alarm })),
+    }),
+};
+
+// --- Load / Save ---
+
+export function loadAlarmRecords() {
+    const raw = localStorage.getItem(ALARMS_KEY);
+    if (!raw) return [];
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch {
+        console.error('Alarm storage is corrupted — rolling back to the last good snapshot');
+        quarantine([{ raw, reason: 'Unreadable JSON' }]);
+        return rollbackAlarms();
+    }
+    if (!isAlarmData(data)) {
+        console.error('Alarm storage isn\'t alarm data — rolling back to the last good snapshot');
+        quarantine([{ raw, reason: 'Unknown format' }]);
+        return rollbackAlarms();
+    }
+
+    const { alarms, rejected } = validateAll(migrate(data));
+    if (rejected.length > 0) {
+        console.warn(`⚠️ Quarantined ${rejected.length} invalid alarm(s)`, rejected);
+        quarantine(rejected);
+        // Write back only the good records so the bad ones aren't re-read
+        write(alarms);
+    }
+    return alarms;
+}
+
+export function saveAlarmRecords(alarms) {
+    const current = localStorage.getItem(ALARMS_KEY);
+    // Only data that loads is worth rolling back to
+    if (current && isLoadable(current)) {
+        localStorage.setItem(SNAPSHOT_KEY, current);
+    }
+    write(alarms);
+}
+
+function write(alarms) {
+    localStorage.setItem(ALARMS_KEY, JSON.stringify({ version: STORAGE_VERSION, alarms }));
+}
+
+function isLoadable(raw) {
+    try {
+        return isAlarmData(JSON.parse(raw));
+    } catch {
+        return false;
+    }
+}
+
+// v0 was a bare array, every later version is { version, alarms }
+function isAlarmData(data) {
+    if (Array.isArray(data)) return true;
+    return !!data && typeof data === 'object' && Number.isInteger(data.version) && Array.isArray(data.alarms);
+}
+
+// --- Migrations ---
+
+// Only called with data that passed isAlarmData()
+function getVersion(data) {
+    return Array.isArray(data) ? 0 : data.version;
+}
+
+function migrate(data) {
+    let version = getVersion(data);
+    if (version > STORAGE_VERSION) {
+        // Written by a newer build — read what we understand
+        console.warn(`Alarm storage v${version} is newer than this app (v${STORAGE_VERSION})`);
+        return { version, alarms: data.alarms };
+    }
+    while (version < STORAGE_VERSION) {
+        version++;
+        data = migrations[version](data);
+    }
+    return data;
+}
+
+// --- Validation ---
+
+function validateAll(data) {
+    const alarms = [];
+    const rejected = [];
+    const seen = new Set();
+
+    for (const record of data.alarms) {
+        const reason = validateAlarm(record) || (seen.has(record.id) ? 'Duplicate id' : null);
+        if (reason) {
+            rejected.push({ record, reason });
+            continue;
+        }
+        seen.add(record.id);
+        alarms.push({ ...alarmDefaults(), ...record });
+    }
+
+    return { alarms, rejected };
+}
+
+// Returns why a record is invalid, or null if it's fine
+function validateAlarm(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return 'Not an object';
+    if (typeof record.id !== 'string' || !record.id) return 'Missing id';
+    if (typeof record.time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(record.time)) return 'Invalid time';
+
+    for (const field of ['label', 'trackUri', 'trackName', 'trackArtist', 'trackImage']) {
+        if (field in record && typeof record[field] !== 'string') return `Invalid ${field}`;
+    }
+    if ('enabled' in record && typeof record.enabled !== 'boolean') return 'Invalid enabled';
+    if ('days' in record && !isDayList(record.days)) return 'Invalid days';
+    if ('createdAt' in record && typeof record.createdAt !== 'number') return 'Invalid createdAt';
+    if ('shuffle' in record && typeof record.shuffle !== 'boolean') return 'Invalid shuffle';
+    if (record.startOffset != null && !(Number.isInteger(record.startOffset) && record.startOffset >= 0)) return 'Invalid startOffset';
+    if ('sourceSize' in record && typeof record.sourceSize !== 'number') return 'Invalid sourceSize';
+
+    for (const field of ['groupId', 'timeZone']) {
+        if (record[field] != null && typeof record[field] !== 'string') return `Invalid ${field}`;
+    }
+
+    if ('pool' in record && !(Array.isArray(record.pool) && record.pool.every(item => typeof item?.uri === 'string'))) return 'Invalid pool';
+    if ('rotation' in record && !ROTATION_MODES.includes(record.rotation)) return 'Invalid rotation';
+    if ('played' in record && !Array.isArray(record.played)) return 'Invalid played';
+    if ('nextPoolIndex' in record && !Number.isInteger(record.nextPoolIndex)) return 'Invalid nextPoolIndex';
+
+    if (record.fade != null && !isFade(record.fade)) return 'Invalid fade';
+    if ('startPosition' in record && !(typeof record.startPosition === 'number' && record.startPosition >= 0)) return 'Invalid startPosition';
+    if (record.loopEnd != null && typeof record.loopEnd !== 'number') return 'Invalid loopEnd';
+    if (record.escalation != null && !isEscalation(record.escalation)) return 'Invalid escalation';
+    if (record.tone != null && !isTone(record.tone)) return 'Invalid tone';
+    if ('devices' in record && !(Array.isArray(record.devices) && record.devices.every(d => typeof d?.id === 'string'))) return 'Invalid devices';
+
+    const rule = record.recurrence;
+    if (rule != null) {
+        if (typeof rule !== 'object' || !FREQUENCIES.includes(rule.freq)) return 'Invalid recurrence';
+        if ('byDay' in rule && !isDayList(rule.byDay)) return 'Invalid recurrence days';
+        if ('exDates' in rule && !Array.isArray(rule.exDates)) return 'Invalid recurrence exceptions';
+    }
+
+    return null;
+}
+
+function isFade(fade) {
+    return typeof fade === 'object'
+        && ['duration', 'startVolume', 'maxVolume'].every(field => !(field in fade) || typeof fade[field] === 'number')
+        && (!('curve' in fade) || FADE_CURVES.includes(fade.curve));
+}
+
+function isEscalation(policy) {
+    return typeof policy === 'object'
+        && ['stepMinutes', 'limitMinutes'].every(field => !(field in policy) || (typeof policy[field] === 'number' && policy[field] > 0))
+        && (!('limitAction' in policy) || ['snooze', 'stop'].includes(policy.limitAction));
+}
+
+function isTone(tone) {
+    return typeof tone === 'object'
+        && typeof tone.preset === 'string'
+        && ['tempo', 'pitch'].every(field => !(field in tone) || typeof tone[field] === 'number')
+        && (tone.customId == null || typeof tone.customId === 'string');
+}
+
+function isDayList(days) {
+    return Array.isArray(days) && days.every(d => Number.isInteger(d) && d >= 0 && d <= 6);
+}
+
+// --- Quarantine ---
+
+function quarantine(entries) {
+    const existing = getQuarantinedAlarms();
+    const quarantinedAt = Date.now();
+    localStorage.setItem(QUARANTINE_KEY, JSON.stringify([
+        ...existing,
+        ...entries.map(entry => ({ ...entry, quarantinedAt })),
+    ]));
+}
+
+export function getQuarantinedAlarms() {
+    try {
+        const data = localStorage.getItem(QUARANTINE_KEY);
+        return data ? JSON.parse(data) : [];
+    } catch {
+        return [];
+    }
+}
+
+export function clearQuarantine() {
+    localStorage.removeItem(QUARANTINE_KEY);
+}
+
+// --- Rollback ---
+
+export function hasSnapshot() {
+    return !!localStorage.getItem(SNAPSHOT_KEY);
+}
+
+// Restore the last good snapshot as the current alarms
+export function rollbackAlarms() {
+    const raw = localStorage.getItem(SNAPSHOT_KEY);
+    if (!raw || !isLoadable(raw)) {
+        localStorage.removeItem(ALARMS_KEY);
+        return [];
+    }
+
+    localStorage.setItem(ALARMS_KEY, raw);
+    localStorage.removeItem(SNAPSHOT_KEY);
+    return loadAlarmRecords();
+}
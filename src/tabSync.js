@@ -0,0 +1,109 @@
+// ============================================
+// Tab Coordination — Leader Election + Messaging
+// ============================================
+//
+// Only one open tab (the leader) runs the alarm checker and rings.
+// The others follow: they mirror the ringing overlay and relay a
+// dismiss or snooze to every tab.
+//
+// Leadership uses the Web Locks API where available — the leader holds
+// a lock for as long as it lives and the browser hands it to the next
+// waiting tab when it closes. Without Web Locks, tabs fall back to a
+// BroadcastChannel heartbeat.
+
+const CHANNEL_NAME = 'wakewave';
+const LOCK_NAME = 'wakewave-alarm-leader';
+const HEARTBEAT_MS = 2000;
+const LEADER_TIMEOUT_MS = 5000;
+
+const tabId = crypto.randomUUID();
+const channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+const messageHandlers = new Map(); // type -> Set of handlers
+
+let leader = false;
+let callbacks = {};
+
+if (channel) {
+    channel.onmessage = (e) => {
+        const { type, payload, from } = e.data || {};
+        const handlers = messageHandlers.get(type);
+        if (handlers) [...handlers].forEach(handler => handler(payload, from));
+    };
+}
+
+// --- Messaging ---
+
+export function broadcast(type, payload = {}) {
+    if (channel) channel.postMessage({ type, payload, from: tabId });
+}
+
+export function onTabMessage(type, handler) {
+    if (!messageHandlers.has(type)) messageHandlers.set(type, new Set());
+    messageHandlers.get(type).add(handler);
+    return () => messageHandlers.get(type).delete(handler);
+}
+
+// --- Leader Election ---
+
+export function isLeader() {
+    return leader;
+}
+
+export function startLeaderElection({ onElected, onDemoted }) {
+    callbacks = { onElected, onDemoted };
+
+    if (navigator.locks) {
+        navigator.locks.request(LOCK_NAME, () => {
+            becomeLeader();
+            // Hold the lock until this tab goes away
+            return new Promise(() => { });
+        });
+    } else if (channel) {
+        startHeartbeatElection();
+    } else {
+        // No way to coordinate — behave like a single tab
+        becomeLeader();
+    }
+}
+
+function becomeLeader() {
+    if (leader) return;
+    leader = true;
+    console.log('👑 This tab now handles alarms');
+    if (callbacks.onElected) callbacks.onElected();
+}
+
+function stepDown() {
+    if (!leader) return;
+    leader = false;
+    console.log('This tab handed alarms over to another tab');
+    if (callbacks.onDemoted) callbacks.onDemoted();
+}
+
+function startHeartbeatElection() {
+    // Give an existing leader one timeout to make itself heard
+    let lastLeaderSeen = Date.now();
+
+    onTabMessage('leader-heartbeat', (_, from) => {
+        // Two leaders at once (e.g. after a simultaneous claim): lower id wins
+        if (leader && from < tabId) stepDown();
+        if (!leader) lastLeaderSeen = Date.now();
+    });
+
+    onTabMessage('leader-resign', () => {
+        lastLeaderSeen = 0;
+    });
+
+    window.addEventListener('pagehide', () => {
+        if (leader) broadcast('leader-resign');
+    });
+
+    setInterval(() => {
+        if (leader) {
+            broadcast('leader-heartbeat');
+        } else if (Date.now() - lastLeaderSeen > LEADER_TIMEOUT_MS) {
+            becomeLeader();
+            broadcast('leader-heartbeat');
+        }
+    }, HEARTBEAT_MS);
+}
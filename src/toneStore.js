@@ -0,0 +1,93 @@
+// ============================================
+// Custom Tones — Uploaded Audio in IndexedDB
+// ============================================
+//
+// Uploaded files are too big for localStorage, so they live in IndexedDB.
+// loadCustomTones() reads them all into memory as object URLs at startup,
+// which lets the alarm sound pick one up synchronously inside a tap —
+// iOS only unlocks audio that's started right there.
+
+const DB_NAME = 'wakewave';
+const DB_VERSION = 1;
+const STORE = 'tones';
+const MAX_BYTES = 10 * 1024 * 1024;
+
+const tones = new Map(); // id -> { id, name, url }
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Runs one request against the store and resolves with its result
+async function withStore(mode, run) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const request = run(db.transaction(STORE, mode).objectStore(STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function addToMemory({ id, name, type, data }) {
+    // Stored as an ArrayBuffer — older Safari can't keep Blobs in IndexedDB
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const tone = { id, name, url };
+    tones.set(id, tone);
+    return tone;
+}
+
+// --- Public API ---
+
+export async function loadCustomTones() {
+    if (!('indexedDB' in window)) return;
+    try {
+        const records = await withStore('readonly', store => store.getAll());
+        records.forEach(record => {
+            if (!tones.has(record.id)) addToMemory(record);
+        });
+    } catch (err) {
+        console.warn('Could not load custom tones:', err);
+    }
+}
+
+export function getCustomTones() {
+    return [...tones.values()];
+}
+
+export function getCustomTone(id) {
+    return tones.get(id) || null;
+}
+
+export async function addCustomTone(file) {
+    if (!file.type.startsWith('audio/')) throw new Error('That file isn\'t audio');
+    if (file.size > MAX_BYTES) throw new Error(`Pick a file under ${MAX_BYTES / 1024 / 1024} MB`);
+
+    const record = {
+        id: crypto.randomUUID(),
+        name: file.name.replace(/\.[^.]+$/, ''),
+        type: file.type,
+        data: await file.arrayBuffer(),
+        createdAt: Date.now(),
+    };
+    await withStore('readwrite', store => store.put(record));
+    console.log(`🎶 Saved custom tone "${record.name}"`);
+    return addToMemory(record);
+}
+
+export async function deleteCustomTone(id) {
+    await withStore('readwrite', store => store.delete(id));
+    const tone = tones.get(id);
+    if (tone) URL.revokeObjectURL(tone.url);
+    tones.delete(id);
+}
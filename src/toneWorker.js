@@ -0,0 +1,14 @@
+// ============================================
+// Tone Worker — Renders Alarm Tones Off the Main Thread
+// ============================================
+//
+// Receives { key, tone } and replies { key, buffer } with the WAV,
+// transferring the buffer instead of copying it.
+
+import { renderToneWav } from './tones.js';
+
+self.onmessage = (e) => {
+    const { key, tone } = e.data;
+    const buffer = renderToneWav(tone);
+    self.postMessage({ key, buffer }, [buffer]);
+};
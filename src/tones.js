@@ -0,0 +1,218 @@
+// ============================================
+// Tone Library — Fallback Alarm Tones
+// ============================================
+//
+// Each preset is a run of short notes ("hits") repeated in groups with a
+// pause in between. An alarm's tone settings change how fast the groups
+// go (tempo), how high the notes are (pitch) and how many notes make up
+// a group (pattern). A tone can also be the user's own audio file, kept
+// in IndexedDB (see toneStore.js).
+
+export const TONE_PATTERNS = [
+    { id: 'single', label: '●', hits: 1 },
+    { id: 'double', label: '●●', hits: 2 },
+    { id: 'triple', label: '●●●', hits: 3 },
+    { id: 'quad', label: '●●●●', hits: 4 },
+];
+
+export const TONE_TEMPOS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+// hit / gap / pause are in seconds at tempo 1
+export const TONE_PRESETS = {
+    chime: {
+        label: 'Gentle chime',
+        notes: [523.25, 659.25, 783.99, 1046.50], // C5, E5, G5, C6
+        hit: 0.45, gap: 0.12, pause: 1.6, pattern: 'quad',
+        voice: chimeVoice,
+    },
+    beep: {
+        label: 'Classic beep',
+        notes: [1046.50], // C6
+        hit: 0.1, gap: 0.06, pause: 0.5, pattern: 'quad',
+        voice: beepVoice,
+    },
+    chirp: {
+        label: 'Birdsong',
+        notes: [2637.02, 3135.96, 2793.83], // E7, G7, F7
+        hit: 0.07, gap: 0.05, pause: 1.4, pattern: 'triple',
+        voice: chirpVoice,
+    },
+    marimba: {
+        label: 'Soft marimba',
+        notes: [392.00, 523.25, 587.33, 659.25], // G4, C5, D5, E5
+        hit: 0.4, gap: 0.08, pause: 1.2, pattern: 'quad',
+        voice: marimbaVoice,
+    },
+    siren: {
+        label: 'Rising siren',
+        notes: [440.00], // A4, sweeping up an octave
+        hit: 1.8, gap: 0.2, pause: 0.6, pattern: 'single',
+        voice: sirenVoice,
+    },
+};
+
+export const CUSTOM_TONE = 'custom';
+
+// Rendered clips: 22.05 kHz covers every preset's harmonics even an
+// octave up, and a clip of about this many seconds is looped
+const SAMPLE_RATE = 22050;
+const CLIP_SECONDS = 4;
+
+export const DEFAULT_TONE = {
+    preset: 'chime',  // a TONE_PRESETS key, or CUSTOM_TONE
+    tempo: 1,
+    pitch: 0,         // semitones
+    pattern: null,    // null = the preset's own
+    customId: null,   // toneStore id when preset is CUSTOM_TONE
+};
+
+// Escalation's last stage — fast, high beeps
+export const URGENT_TONE = { ...DEFAULT_TONE, preset: 'beep', tempo: 1.5, pitch: 4 };
+
+export function getTone(alarm) {
+    const tone = { ...DEFAULT_TONE, ...alarm?.tone };
+    if (tone.preset !== CUSTOM_TONE && !TONE_PRESETS[tone.preset]) tone.preset = DEFAULT_TONE.preset;
+    return tone;
+}
+
+// Same key = same sound, so one rendered clip can be shared
+export function toneKey(tone) {
+    if (tone.preset === CUSTOM_TONE) return `custom:${tone.customId}`;
+    return [tone.preset, tone.tempo, tone.pitch, getPattern(tone).id].join(':');
+}
+
+export function getPattern(tone) {
+    const id = tone.pattern || TONE_PRESETS[tone.preset]?.pattern;
+    return TONE_PATTERNS.find(p => p.id === id) || TONE_PATTERNS[0];
+}
+
+export function describeTone(tone, customName = '') {
+    if (tone.preset === CUSTOM_TONE) return customName || 'Your own sound';
+    const parts = [TONE_PRESETS[tone.preset].label];
+    if (tone.tempo !== 1) parts.push(`${tone.tempo}× speed`);
+    if (tone.pitch !== 0) parts.push(`${tone.pitch > 0 ? '+' : ''}${tone.pitch} semitones`);
+    if (tone.pattern) parts.push(`${getPattern(tone).hits} per group`);
+    return parts.join(', ');
+}
+
+// =============================================
+// Synthesis
+// =============================================
+
+// Returns { groupSeconds, sample(t) } for a preset tone, where sample(t)
+// gives the sample (-1–1) at t seconds into the loop
+export function toneSampler(tone) {
+    const preset = TONE_PRESETS[tone.preset] || TONE_PRESETS[DEFAULT_TONE.preset];
+    const hits = getPattern(tone).hits;
+    const hit = preset.hit / tone.tempo;
+    const step = hit + preset.gap / tone.tempo;
+    const groupSeconds = step * hits + preset.pause / tone.tempo;
+    const pitch = Math.pow(2, tone.pitch / 12);
+
+    return {
+        groupSeconds,
+        sample(t) {
+            const posInGroup = t % groupSeconds;
+            const hitIdx = Math.floor(posInGroup / step);
+            const posInHit = posInGroup - hitIdx * step;
+            if (hitIdx >= hits || posInHit >= hit) return 0;
+
+            const freq = preset.notes[hitIdx % preset.notes.length] * pitch;
+            return preset.voice(posInHit, hit, freq);
+        },
+    };
+}
+
+// Renders a preset tone as a mono 16-bit WAV. It's only a few seconds
+// long — whole groups, so the loop seam falls in a pause — and is meant
+// to be looped. Pure, so it runs the same in the worker and on the page.
+export function renderToneWav(tone) {
+    const sampler = toneSampler(tone);
+    const groups = Math.max(1, Math.round(CLIP_SECONDS / sampler.groupSeconds));
+    const numSamples = Math.floor(SAMPLE_RATE * sampler.groupSeconds * groups);
+    const buffer = new ArrayBuffer(44 + numSamples * 2);
+    const view = new DataView(buffer);
+
+    // WAV header
+    const writeStr = (offset, str) => {
+        for (let i = 0; i < str.length; i++)
+            view.setUint8(offset + i, str.charCodeAt(i));
+    };
+    writeStr(0, 'RIFF');
+    view.setUint32(4, 36 + numSamples * 2, true);
+    writeStr(8, 'WAVE');
+    writeStr(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);   // PCM
+    view.setUint16(22, 1, true);   // Mono
+    view.setUint32(24, SAMPLE_RATE, true);
+    view.setUint32(28, SAMPLE_RATE * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeStr(36, 'data');
+    view.setUint32(40, numSamples * 2, true);
+
+    for (let i = 0; i < numSamples; i++) {
+        const sample = sampler.sample(i / SAMPLE_RATE);
+        view.setInt16(44 + i * 2,
+            Math.max(-32768, Math.min(32767, Math.floor(sample * 32767))), true);
+    }
+
+    return buffer;
+}
+
+// Each voice gives the sample at t seconds into a note lasting `length`
+
+// Bell: soft harmonics, soft attack, long decay
+function chimeVoice(t, length, freq) {
+    let sample = Math.sin(2 * Math.PI * freq * t) * 0.65
+        + Math.sin(2 * Math.PI * freq * 2 * t) * 0.20
+        + Math.sin(2 * Math.PI * freq * 3 * t) * 0.10
+        + Math.sin(2 * Math.PI * freq * 4 * t) * 0.05;
+
+    const attack = 0.025;
+    const release = Math.min(0.35, length * 0.78);
+    if (t < attack) sample *= t / attack;
+    const decayStart = length - release;
+    if (t > decayStart) sample *= Math.pow(1 - (t - decayStart) / release, 2);
+
+    // Natural bell decay over the whole note
+    sample *= Math.exp(-(t / length) * 2.5);
+    return sample * 0.75;
+}
+
+// Digital alarm clock: odd harmonics for a square-ish edge
+function beepVoice(t, length, freq) {
+    const ramp = 0.005; // 5ms ramps keep the beeps click-free
+    const sample = Math.sin(2 * Math.PI * freq * t)
+        + Math.sin(2 * Math.PI * freq * 3 * t) / 3
+        + Math.sin(2 * Math.PI * freq * 5 * t) / 5;
+    return sample * Math.min(1, t / ramp, (length - t) / ramp) * 0.7;
+}
+
+// Quick upward sweep with a warble, like a small bird
+function chirpVoice(t, length, freq) {
+    const p = t / length;
+    // Phase of a sweep from freq up to 1.3 × freq
+    const phase = 2 * Math.PI * freq * (t + 0.15 * t * p);
+    const warble = 0.02 * Math.sin(2 * Math.PI * 40 * t);
+    return Math.sin(phase * (1 + warble)) * Math.sin(Math.PI * p) * 0.6;
+}
+
+// Mallet on wood: sharp attack, fast decay, a faint 4th partial
+function marimbaVoice(t, length, freq) {
+    const attack = 0.003;
+    const sample = Math.sin(2 * Math.PI * freq * t)
+        + Math.sin(2 * Math.PI * freq * 4 * t) * 0.15 * Math.exp(-t * 30);
+    const envelope = Math.min(1, t / attack) * Math.exp(-t * 9) * Math.min(1, (length - t) / 0.02);
+    return sample * envelope * 0.7;
+}
+
+// Sweeps up an octave over the note
+function sirenVoice(t, length, freq) {
+    const ramp = 0.02;
+    // Phase of a linear sweep from freq to 2 × freq
+    const phase = 2 * Math.PI * freq * (t + t * t / (2 * length));
+    const sample = Math.sin(phase) + Math.sin(3 * phase) / 6;
+    return sample * Math.min(1, t / ramp, (length - t) / ramp) * 0.6;
+}
@@ -2,27 +2,160 @@
 // Alarm Editor (Create / Edit)
 // ============================================
 
-import { createAlarm, updateAlarm, getAlarm, DAY_NAMES } from '../alarms.js';
-import { searchTracks, formatDuration } from '../spotify.js';
+import {
+  createAlarm, updateAlarm, getAlarm, getRecurrence, describeRecurrence,
+  getHolidays, setHolidays, toDateKey, parseDateKey, getGroups, createGroup, renameGroup,
+  getDeviceTimeZone, onAlarmsChanged, getPoolFields, ROTATION_STATE_FIELDS, DAY_NAMES,
+} from '../alarms.js';
+import { getFade, fadeVolumeAt, describeFade } from '../fade.js';
+import { getEscalation, describeEscalation } from '../escalation.js';
+import {
+  TONE_PRESETS, TONE_PATTERNS, TONE_TEMPOS, CUSTOM_TONE, getTone, getPattern, describeTone,
+} from '../tones.js';
+import { getCustomTones, getCustomTone, addCustomTone, deleteCustomTone } from '../toneStore.js';
+import { prepareAlarmTone, previewTone, stopTonePreview } from '../alarmSound.js';
+import {
+  searchSpotify, SEARCH_FILTERS, formatDuration, isContextUri, supportsOffset, getDevices, getDeviceId, BROWSER_DEVICE,
+  playPreview, stopPreview, getLibraryPage, hasLibraryAccess, libraryAccessDeclined, requestLibraryAccess,
+  TOP_TRACK_RANGES,
+} from '../spotify.js';
+import { SpotifyError, SpotifyScopeError } from '../spotifyApi.js';
+
+const NEW_GROUP = '__new';
+
+// Fallback for browsers without Intl.supportedValuesOf
+const COMMON_TIME_ZONES = [
+  'UTC', 'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Europe/Madrid', 'Europe/Stockholm',
+  'Europe/Athens', 'Europe/Moscow', 'Africa/Cairo', 'Africa/Johannesburg', 'Asia/Dubai',
+  'Asia/Kolkata', 'Asia/Bangkok', 'Asia/Singapore', 'Asia/Shanghai', 'Asia/Tokyo', 'Asia/Seoul',
+  'Australia/Sydney', 'Pacific/Auckland', 'America/Sao_Paulo', 'America/New_York',
+  'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu',
+];
+
+const REPEAT_MODES = [
+  { freq: 'once', label: 'Once' },
+  { freq: 'weekly', label: 'Weekly' },
+  { freq: 'daily', label: 'Every N days' },
+  { freq: 'monthly', label: 'Monthly' },
+];
+
+const SOURCE_TABS = [
+  { type: 'track', label: 'Songs', placeholder: 'Search Spotify for a song...' },
+  { type: 'playlist', label: 'Playlists', placeholder: 'Search for a playlist, e.g. Morning...' },
+  { type: 'album', label: 'Albums', placeholder: 'Search for an album...' },
+  { type: 'artist', label: 'Artists', placeholder: 'Search for an artist...' },
+  { type: 'show', label: 'Podcasts', placeholder: 'Search for a podcast...' },
+  { type: 'episode', label: 'Episodes', placeholder: 'Search for a podcast episode...' },
+];
+
+// The user's own music, next to search. `needs` finishes "…permission to read"
+const LIBRARY_TABS = [
+  { source: 'liked', label: 'Liked Songs', needs: 'your Liked Songs' },
+  { source: 'recent', label: 'Recently Played', needs: 'what you\'ve played recently' },
+  { source: 'top', label: 'Top Tracks', needs: 'your top tracks' },
+  { source: 'playlists', label: 'Your Playlists', needs: 'your private playlists' },
+];
+
+const TOP_RANGE_LABELS = { short_term: 'Last 4 weeks', medium_term: 'Last 6 months', long_term: 'All time' };
+
+const ROTATION_OPTIONS = [
+  { value: 'random', label: 'Random' },
+  { value: 'roundRobin', label: 'In order' },
+  { value: 'noRepeat', label: 'Random, no repeats until all played' },
+];
+
+const FADE_DURATIONS = [
+  { value: 0, label: 'No fade' },
+  { value: 15, label: '15 seconds' },
+  { value: 30, label: '30 seconds' },
+  { value: 60, label: '1 minute' },
+  { value: 120, label: '2 minutes' },
+  { value: 300, label: '5 minutes' },
+  { value: 600, label: '10 minutes' },
+];
+
+const FADE_CURVE_OPTIONS = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'exponential', label: 'Exponential' },
+  { value: 'sCurve', label: 'S-curve' },
+];
+
+const DEVICE_ICONS = {
+  [BROWSER_DEVICE]: '🌐',
+  Smartphone: '📱',
+  Speaker: '🔊',
+  Computer: '💻',
+  TV: '📺',
+  Tablet: '📱',
+};
+
+const ESCALATION_STEPS = [1, 2, 3, 5, 10];
+const ESCALATION_LIMITS = [10, 15, 20, 30, 45, 60];
+
+// Scrubber range when the first song's length isn't known
+const DEFAULT_SCRUB_MS = 10 * 60 * 1000;
+
+const SET_POS_OPTIONS = [
+  { value: '1', label: 'First' },
+  { value: '2', label: 'Second' },
+  { value: '3', label: 'Third' },
+  { value: '4', label: 'Fourth' },
+  { value: '-1', label: 'Last' },
+  { value: 'date', label: 'Day of month' },
+];
+
+// Day kinds for monthly "nth ..." rules, mapped to byDay
+const DAY_KIND_OPTIONS = [
+  { value: 'day', label: 'day', byDay: [] },
+  { value: 'weekday', label: 'weekday', byDay: [1, 2, 3, 4, 5] },
+  { value: 'weekend', label: 'weekend day', byDay: [0, 6] },
+  ...DAY_NAMES.map((name, i) => ({ value: String(i), label: name, byDay: [i] })),
+];
+
+const SEARCH_FILTER_LABELS = { artist: 'Artist', album: 'Album', year: 'Year' };
 
 let searchTimeout = null;
+let unsubscribeChanges = null;
+let previewing = false;
+let tonePreviewing = false;
 
 export function renderEditor(container, { alarmId = null, onSave, onCancel }) {
   const existing = alarmId ? getAlarm(alarmId) : null;
   const isEdit = !!existing;
+  destroyEditor();
 
   const now = new Date();
   const defaultTime = existing ? existing.time : `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
   const [defaultH, defaultM] = defaultTime.split(':');
 
-  let selectedTrack = existing ? {
-    uri: existing.trackUri,
-    name: existing.trackName,
-    artist: existing.trackArtist,
-    image: existing.trackImage,
-  } : null;
+  // Working copy of the song pool and its playback options
+  const music = {
+    pool: existing ? existing.pool.map(item => ({ ...item })) : [],
+    rotation: existing?.rotation || 'random',
+    shuffle: existing?.shuffle || false,
+    startOffset: existing?.startOffset ?? null,
+  };
+  let searchType = 'track';
+  // A LIBRARY_TABS source while one of those tabs is open, otherwise null
+  let librarySource = null;
+  let topRange = 'medium_term';
+  // Where in the song to start, and where to loop back from (ms)
+  const position = { start: existing?.startPosition || 0, end: existing?.loopEnd ?? null };
+  // Working copy of the preferred devices, in the order they're tried
+  const devices = existing ? existing.devices.map(device => ({ ...device })) : [];
+  // Working copy of the fade, edited in place by the Fade-In section
+  const fade = getFade(existing);
+  const escalation = getEscalation(existing);
+  const tone = getTone(existing);
 
-  let selectedDays = existing ? [...existing.days] : [];
+  // Working copy of the recurrence rule, edited in place by the Repeat section
+  const rule = existing ? getRecurrence(existing) : getRecurrence({ days: [] });
+  rule.byDay = [...rule.byDay];
+  // Past skip dates can never apply again
+  rule.exDates = rule.exDates.filter(d => d >= toDateKey(now));
+  let holidays = getHolidays();
+  const groups = getGroups();
+  const timeZones = getTimeZoneOptions(existing?.timeZone);
 
   container.innerHTML = `
     <div class="editor-container">
@@ -32,6 +165,8 @@ export function renderEditor(container, { alarmId = null, onSave, onCancel }) {
         <button class="editor-save" id="editor-save">Save</button>
       </div>
 
+      <div class="editor-conflict" id="editor-conflict" style="display:none;"></div>
+
       <div class="time-picker">
         <div class="time-picker-display">
           <input type="number" class="time-input" id="time-hours" value="${defaultH}" min="0" max="23" />
@@ -40,40 +175,190 @@ export function renderEditor(container, { alarmId = null, onSave, onCancel }) {
         </div>
       </div>
 
+      <div class="editor-section">
+        <div class="editor-section-label">Time Zone</div>
+        <select class="editor-select editor-select-wide" id="alarm-timezone">
+          <option value="">This device (${getDeviceTimeZone()})</option>
+          ${timeZones.map(tz => `<option value="${tz}" ${existing?.timeZone === tz ? 'selected' : ''}>${tz.replace(/_/g, ' ')}</option>`).join('')}
+        </select>
+        <div class="editor-hint">Pin the alarm to a home time zone to keep it at the same local time there while you travel</div>
+      </div>
+
       <div class="editor-section">
         <div class="editor-section-label">Label</div>
         <input type="text" class="editor-input" id="alarm-label" placeholder="e.g. Wake up, Gym time..." value="${existing?.label || ''}" maxlength="50" />
       </div>
 
+      <div class="editor-section">
+        <div class="editor-section-label">Group</div>
+        <div class="repeat-row">
+          <select class="editor-select" id="alarm-group">
+            <option value="">No group</option>
+            ${groups.map(g => `<option value="${g.id}" ${existing?.groupId === g.id ? 'selected' : ''}>${g.name}</option>`).join('')}
+            <option value="${NEW_GROUP}">New group…</option>
+          </select>
+          <input type="text" class="editor-input editor-input-small" id="new-group-name" placeholder="e.g. Work week" maxlength="30" style="display:none;" />
+          <button class="editor-small-btn" id="rename-group-btn" style="display:none;">Rename</button>
+        </div>
+      </div>
+
       <div class="editor-section">
         <div class="editor-section-label">Repeat</div>
-        <div class="days-selector" id="days-selector">
-          ${DAY_NAMES.map((day, i) => `
-            <button class="day-btn ${selectedDays.includes(i) ? 'active' : ''}" data-day="${i}">${day}</button>
+        <div class="repeat-modes" id="repeat-modes">
+          ${REPEAT_MODES.map(mode => `
+            <button class="repeat-mode-btn ${rule.freq === mode.freq ? 'active' : ''}" data-freq="${mode.freq}">${mode.label}</button>
           `).join('')}
         </div>
+        <div class="repeat-options" id="repeat-options"></div>
+        <label class="editor-checkbox" id="skip-holidays-row">
+          <input type="checkbox" id="skip-holidays" ${rule.skipHolidays ? 'checked' : ''} />
+          Skip public holidays
+        </label>
+        <div class="date-list-editor" id="holiday-editor"></div>
+        <div class="repeat-summary" id="repeat-summary"></div>
+      </div>
+
+      <div class="editor-section" id="skip-dates-section">
+        <div class="editor-section-label">Skip Dates</div>
+        <div class="date-list-editor" id="skip-dates-editor"></div>
       </div>
 
       <div class="editor-section">
-        <div class="editor-section-label">Song</div>
+        <div class="editor-section-label">Wake-Up Music</div>
         <div id="selected-song-container"></div>
-        <div class="song-search-container">
+        <div class="repeat-modes" id="source-tabs">
+          ${SOURCE_TABS.map(tab => `
+            <button class="repeat-mode-btn ${tab.type === searchType ? 'active' : ''}" data-type="${tab.type}">${tab.label}</button>
+          `).join('')}
+        </div>
+        <div class="repeat-modes" id="library-tabs">
+          ${LIBRARY_TABS.map(tab => `
+            <button class="repeat-mode-btn" data-source="${tab.source}">${tab.label}</button>
+          `).join('')}
+        </div>
+        <div class="song-search-container" id="song-search-container">
           <svg class="song-search-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <circle cx="11" cy="11" r="8"></circle>
             <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
           </svg>
           <input type="text" class="song-search-input" id="song-search" placeholder="Search Spotify for a song..." />
         </div>
+        <div class="search-filters" id="search-filters"></div>
+        <div class="repeat-modes library-options" id="library-options"></div>
         <div class="song-results" id="song-results"></div>
       </div>
+
+      <div class="editor-section">
+        <div class="editor-section-label">Start Position</div>
+        <input type="range" class="position-scrubber" id="position-scrubber" min="0" step="1000" />
+        <div class="repeat-row">
+          <span>Start at</span>
+          <input type="text" class="editor-input editor-input-small position-input" id="position-start" placeholder="0:00" />
+          <span>loop until</span>
+          <input type="text" class="editor-input editor-input-small position-input" id="position-end" placeholder="end" />
+          <button class="editor-small-btn" id="position-preview">▶ Preview</button>
+        </div>
+        <div class="editor-hint" id="position-hint"></div>
+      </div>
+
+      <div class="editor-section">
+        <div class="editor-section-label">Play On</div>
+        <div id="device-prefs"></div>
+        <div class="editor-hint">Tried in order, waking idle devices — then this browser or whichever device is active</div>
+      </div>
+
+      <div class="editor-section">
+        <div class="editor-section-label">Backup Tone</div>
+        <div class="repeat-modes" id="tone-presets">
+          ${Object.entries(TONE_PRESETS).map(([id, preset]) => `
+            <button class="repeat-mode-btn" data-preset="${id}">${preset.label}</button>
+          `).join('')}
+          <button class="repeat-mode-btn" data-preset="${CUSTOM_TONE}">Your own</button>
+        </div>
+        <div id="tone-settings">
+          <div class="repeat-row">
+            <span>Speed</span>
+            <select class="editor-select" id="tone-tempo">
+              ${TONE_TEMPOS.map(t => `<option value="${t}" ${tone.tempo === t ? 'selected' : ''}>${t}×</option>`).join('')}
+            </select>
+          </div>
+          <div class="repeat-modes" id="tone-patterns">
+            ${TONE_PATTERNS.map(p => `<button class="repeat-mode-btn" data-pattern="${p.id}">${p.label}</button>`).join('')}
+          </div>
+          <label class="fade-slider">
+            <span>Pitch</span>
+            <input type="range" id="tone-pitch" min="-12" max="12" step="1" value="${tone.pitch}" />
+            <span class="fade-slider-value" id="tone-pitch-value"></span>
+          </label>
+        </div>
+        <div class="repeat-row" id="tone-custom">
+          <select class="editor-select" id="tone-custom-select"></select>
+          <button class="editor-small-btn" id="tone-upload">Upload…</button>
+          <button class="editor-small-btn" id="tone-delete">Delete</button>
+          <input type="file" accept="audio/*" id="tone-file" hidden />
+        </div>
+        <div class="repeat-row">
+          <button class="editor-small-btn" id="tone-preview">▶ Preview</button>
+          <span class="repeat-summary" id="tone-summary"></span>
+        </div>
+        <div class="editor-hint" id="tone-hint">Rings when Spotify can't play, and joins in if you don't wake up</div>
+      </div>
+
+      <div class="editor-section">
+        <div class="editor-section-label">Fade-In</div>
+        <div class="repeat-row">
+          <select class="editor-select" id="fade-duration">
+            ${FADE_DURATIONS.map(opt => `<option value="${opt.value}" ${fade.duration === opt.value ? 'selected' : ''}>${opt.label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="repeat-modes" id="fade-curves">
+          ${FADE_CURVE_OPTIONS.map(opt => `
+            <button class="repeat-mode-btn ${fade.curve === opt.value ? 'active' : ''}" data-curve="${opt.value}">${opt.label}</button>
+          `).join('')}
+        </div>
+        <label class="fade-slider">
+          <span>Start volume</span>
+          <input type="range" id="fade-start" min="0" max="100" step="5" value="${fade.startVolume}" />
+          <span class="fade-slider-value" id="fade-start-value">${fade.startVolume}%</span>
+        </label>
+        <label class="fade-slider">
+          <span>Max volume</span>
+          <input type="range" id="fade-max" min="5" max="100" step="5" value="${fade.maxVolume}" />
+          <span class="fade-slider-value" id="fade-max-value">${fade.maxVolume}%</span>
+        </label>
+        <div class="fade-preview" id="fade-preview"></div>
+        <div class="editor-hint">Used for Spotify in this browser, on Connect devices that allow volume control, and for the backup chime</div>
+      </div>
+
+      <div class="editor-section">
+        <div class="editor-section-label">If I Don't Wake Up</div>
+        <label class="editor-checkbox">
+          <input type="checkbox" id="escalation-enabled" ${escalation.enabled ? 'checked' : ''} />
+          Get louder until I dismiss or snooze
+        </label>
+        <div id="escalation-options">
+          <div class="repeat-row">
+            <span>Step up every</span>
+            <select class="editor-select" id="escalation-step">
+              ${ESCALATION_STEPS.map(m => `<option value="${m}" ${escalation.stepMinutes === m ? 'selected' : ''}>${m} min</option>`).join('')}
+            </select>
+          </div>
+          <div class="repeat-row">
+            <span>After</span>
+            <select class="editor-select" id="escalation-limit">
+              ${ESCALATION_LIMITS.map(m => `<option value="${m}" ${escalation.limitMinutes === m ? 'selected' : ''}>${m} min</option>`).join('')}
+            </select>
+            <select class="editor-select" id="escalation-action">
+              <option value="snooze" ${escalation.limitAction === 'snooze' ? 'selected' : ''}>snooze</option>
+              <option value="stop" ${escalation.limitAction === 'stop' ? 'selected' : ''}>stop</option>
+            </select>
+          </div>
+        </div>
+        <div class="repeat-summary" id="escalation-summary"></div>
+      </div>
     </div>
   `;
 
-  // Render selected song if exists
-  if (selectedTrack && selectedTrack.uri) {
-    renderSelectedSong(selectedTrack);
-  }
-
   // --- Time Input Handling ---
   const hoursInput = document.getElementById('time-hours');
   const minutesInput = document.getElementById('time-minutes');
@@ -103,51 +388,610 @@ export function renderEditor(container, { alarmId = null, onSave, onCancel }) {
     input.addEventListener('focus', () => input.select());
   });
 
-  // --- Days Selector ---
-  const daysContainer = document.getElementById('days-selector');
-  daysContainer.addEventListener('click', (e) => {
-    const btn = e.target.closest('.day-btn');
+  // --- Group ---
+  const groupSelect = document.getElementById('alarm-group');
+  const newGroupInput = document.getElementById('new-group-name');
+
+  const renameGroupBtn = document.getElementById('rename-group-btn');
+
+  const updateGroupControls = () => {
+    const isNew = groupSelect.value === NEW_GROUP;
+    newGroupInput.style.display = isNew ? '' : 'none';
+    renameGroupBtn.style.display = groupSelect.value && !isNew ? '' : 'none';
+    return isNew;
+  };
+
+  groupSelect.addEventListener('change', () => {
+    if (updateGroupControls()) newGroupInput.focus();
+  });
+
+  // Renames the group for every alarm in it, straight away
+  renameGroupBtn.addEventListener('click', () => {
+    const option = groupSelect.selectedOptions[0];
+    const name = prompt('Rename group', option.textContent)?.trim().slice(0, 30);
+    if (!name) return;
+    renameGroup(groupSelect.value, name);
+    option.textContent = name;
+  });
+
+  updateGroupControls();
+
+  // --- Repeat ---
+  const repeatModes = document.getElementById('repeat-modes');
+  const repeatOptions = document.getElementById('repeat-options');
+  const skipHolidaysInput = document.getElementById('skip-holidays');
+
+  repeatModes.addEventListener('click', (e) => {
+    const btn = e.target.closest('.repeat-mode-btn');
     if (!btn) return;
-    const day = parseInt(btn.dataset.day);
-    const idx = selectedDays.indexOf(day);
-    if (idx > -1) {
-      selectedDays.splice(idx, 1);
-      btn.classList.remove('active');
-    } else {
-      selectedDays.push(day);
-      btn.classList.add('active');
+    rule.freq = btn.dataset.freq;
+    rule.interval = 1;
+    rule.bySetPos = null;
+    rule.byMonthDay = null;
+    if (rule.freq === 'monthly') {
+      // Sensible starting point: first weekday of the month
+      rule.bySetPos = 1;
+      rule.byDay = [1, 2, 3, 4, 5];
     }
+    if (rule.freq === 'once' || rule.freq === 'daily') {
+      rule.byDay = [];
+    }
+    repeatModes.querySelectorAll('.repeat-mode-btn').forEach(b => {
+      b.classList.toggle('active', b === btn);
+    });
+    renderRepeat();
   });
 
+  skipHolidaysInput.addEventListener('change', () => {
+    rule.skipHolidays = skipHolidaysInput.checked;
+    renderRepeat();
+  });
+
+  function renderRepeat() {
+    renderRepeatOptions(repeatOptions, rule, updateSummary);
+    document.getElementById('skip-holidays-row').style.display = rule.freq === 'once' ? 'none' : '';
+    renderHolidayEditor();
+    renderSkipDatesEditor();
+    updateSummary();
+  }
+
+  function renderHolidayEditor() {
+    const editor = document.getElementById('holiday-editor');
+    if (!rule.skipHolidays || rule.freq === 'once') {
+      editor.innerHTML = '';
+      return;
+    }
+
+    renderDateListEditor(editor, holidays, {
+      idPrefix: 'holiday',
+      addLabel: 'Add holiday',
+      emptyText: 'No holidays yet — add the dates to skip',
+      hint: 'The holiday list is shared by all alarms',
+      onChange: (dates) => { holidays = dates; },
+    });
+  }
+
+  function renderSkipDatesEditor() {
+    const section = document.getElementById('skip-dates-section');
+    section.style.display = rule.freq === 'once' ? 'none' : '';
+    if (rule.freq === 'once') return;
+
+    renderDateListEditor(document.getElementById('skip-dates-editor'), rule.exDates, {
+      idPrefix: 'skip-date',
+      addLabel: 'Skip date',
+      emptyText: 'Rings on every scheduled day',
+      min: toDateKey(new Date()),
+      onChange: (dates) => { rule.exDates = dates; },
+    });
+  }
+
+  function updateSummary() {
+    document.getElementById('repeat-summary').textContent = describeRecurrence({ recurrence: normalizeRule(rule) });
+  }
+
+  renderRepeat();
+
   // --- Song Search ---
   const searchInput = document.getElementById('song-search');
   const resultsContainer = document.getElementById('song-results');
 
-  searchInput.addEventListener('input', () => {
+  const filtersContainer = document.getElementById('search-filters');
+  // Field filters in use (artist / album / year), kept across source tabs
+  const filters = {};
+  const libraryOptions = document.getElementById('library-options');
+  // The results on screen: { query or source, results, nextOffset, loading,
+  // error, failedOffset } — failedOffset is the page that last failed to load
+  let search = null;
+
+  const hasFilters = () => (SEARCH_FILTERS[searchType] || []).some(field => filters[field]);
+
+  const addToPool = (result) => {
+    if (!music.pool.some(item => item.uri === result.uri)) {
+      const { uri, name, artist, image, size, duration } = result;
+      music.pool.push({ uri, name, artist, image, size, duration });
+      music.startOffset = null;
+    }
+    renderPool(music, renderPosition);
+    renderPosition();
+    // Library lists stay open, so several songs can be picked in a row
+    if (search?.source) {
+      markPicked();
+      return;
+    }
+    search = null;
+    resultsContainer.innerHTML = '';
+    searchInput.value = '';
+  };
+
+  const markPicked = () => {
+    resultsContainer.querySelectorAll('.song-result-item').forEach(el => {
+      el.classList.toggle('selected', music.pool.some(item => item.uri === el.dataset.uri));
+    });
+  };
+
+  const loadPage = async (offset) => {
+    const current = search;
+    current.loading = true;
+    current.error = null;
+    // Show the loading note in place of the "load more" or retry button
+    if (offset > 0 || current.failedOffset != null) renderSearchResults(current, resultsContainer, resultHandlers);
+    try {
+      const page = current.source
+        ? await getLibraryPage(current.source, { offset, timeRange: topRange })
+        : await searchSpotify(current.query, searchType, { offset, filters });
+      // A newer search replaced this one while it loaded
+      if (search !== current) return;
+      // Recently played repeats songs that were played more than once
+      const seen = new Set(current.results.map(result => result.uri));
+      current.results.push(...page.results.filter(result => !seen.has(result.uri) && seen.add(result.uri)));
+      current.nextOffset = page.nextOffset;
+      current.failedOffset = null;
+    } catch (err) {
+      if (search !== current) return;
+      if (err instanceof SpotifyScopeError && current.source) {
+        search = null;
+        renderLibraryAccess();
+        return;
+      }
+      current.error = err instanceof SpotifyError ? err.message : 'Search failed. Try again.';
+      current.failedOffset = offset;
+    }
+    current.loading = false;
+    renderSearchResults(current, resultsContainer, resultHandlers);
+    markPicked();
+  };
+
+  const loadMore = () => {
+    if (search && !search.loading && search.nextOffset != null) loadPage(search.nextOffset);
+  };
+
+  const retryPage = () => {
+    if (search && !search.loading && search.failedOffset != null) loadPage(search.failedOffset);
+  };
+
+  const resultHandlers = { onSelect: addToPool, onMore: loadMore, onRetry: retryPage };
+
+  const runSearch = () => {
     clearTimeout(searchTimeout);
     const query = searchInput.value.trim();
-    if (query.length < 2) {
+    if (query.length < 2 && !hasFilters()) {
+      search = null;
       resultsContainer.innerHTML = '';
       return;
     }
 
+    search = { query, results: [], nextOffset: null, loading: true, error: null };
     resultsContainer.innerHTML = '<div class="song-search-loading">Searching...</div>';
+    searchTimeout = setTimeout(() => loadPage(0), 400);
+  };
+
+  const openLibrary = () => {
+    clearTimeout(searchTimeout);
+    // Playlists still lists the public ones without access
+    if (!hasLibraryAccess(librarySource) && librarySource !== 'playlists') {
+      search = null;
+      renderLibraryAccess();
+      return;
+    }
+    search = { source: librarySource, results: [], nextOffset: null, loading: true, error: null };
+    resultsContainer.innerHTML = '<div class="song-search-loading">Loading...</div>';
+    loadPage(0);
+  };
 
-    searchTimeout = setTimeout(async () => {
-      try {
-        const tracks = await searchTracks(query);
-        renderSearchResults(tracks, resultsContainer, (track) => {
-          selectedTrack = track;
-          renderSelectedSong(track);
-          resultsContainer.innerHTML = '';
-          searchInput.value = '';
+  const requestAccess = async () => {
+    try {
+      await requestLibraryAccess();
+    } catch (err) {
+      resultsContainer.innerHTML = `<div class="song-search-loading">${err.message}</div>`;
+      return;
+    }
+    // Only reached when the provider answered without leaving the page
+    showSource();
+  };
+
+  const renderLibraryAccess = () => {
+    const tab = LIBRARY_TABS.find(t => t.source === librarySource);
+    const declined = libraryAccessDeclined(librarySource);
+    resultsContainer.innerHTML = `
+      <div class="library-access">
+        <div>${declined ? `You didn't allow WakeWave to read ${tab.needs}.` : `WakeWave needs your permission to read ${tab.needs}.`}</div>
+        <button class="editor-small-btn" id="library-access-btn">${declined ? 'Ask again' : 'Allow access'}</button>
+        <div class="editor-hint">Spotify will ask, then bring you back to WakeWave. Unsaved changes to this alarm will be lost.</div>
+      </div>
+    `;
+    document.getElementById('library-access-btn').addEventListener('click', requestAccess);
+  };
+
+  // Time range for Top Tracks, or the private-playlists note
+  const renderLibraryOptions = () => {
+    if (librarySource === 'top') {
+      libraryOptions.innerHTML = TOP_TRACK_RANGES.map(range => `
+        <button class="repeat-mode-btn ${range === topRange ? 'active' : ''}" data-range="${range}">${TOP_RANGE_LABELS[range]}</button>
+      `).join('');
+      libraryOptions.querySelectorAll('.repeat-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          topRange = btn.dataset.range;
+          renderLibraryOptions();
+          openLibrary();
         });
-      } catch (err) {
-        resultsContainer.innerHTML = '<div class="song-search-loading">Search failed. Try again.</div>';
+      });
+    } else if (librarySource === 'playlists' && !hasLibraryAccess('playlists')) {
+      libraryOptions.innerHTML = `
+        <span class="editor-hint">Only your public playlists are shown.</span>
+        <button class="editor-small-btn" id="playlists-access-btn">Show private ones too</button>
+      `;
+      document.getElementById('playlists-access-btn').addEventListener('click', requestAccess);
+    } else {
+      libraryOptions.innerHTML = '';
+    }
+  };
+
+  // Switches between search and the library tabs
+  const showSource = () => {
+    document.querySelectorAll('#source-tabs .repeat-mode-btn').forEach(b => {
+      b.classList.toggle('active', !librarySource && b.dataset.type === searchType);
+    });
+    document.querySelectorAll('#library-tabs .repeat-mode-btn').forEach(b => {
+      b.classList.toggle('active', b.dataset.source === librarySource);
+    });
+    document.getElementById('song-search-container').style.display = librarySource ? 'none' : '';
+    renderFilters();
+    renderLibraryOptions();
+    if (librarySource) openLibrary();
+    else runSearch();
+  };
+
+  const renderFilters = () => {
+    const fields = librarySource ? [] : SEARCH_FILTERS[searchType] || [];
+    filtersContainer.innerHTML = fields.map(field => field in filters ? `
+      <span class="filter-chip active">
+        ${SEARCH_FILTER_LABELS[field]}
+        <input type="text" class="filter-chip-input" data-field="${field}" value="${filters[field]}"
+          placeholder="${field === 'year' ? '2010 or 2010-2019' : 'name'}" />
+        <button class="filter-chip-remove" data-field="${field}" title="Remove filter">×</button>
+      </span>
+    ` : `
+      <button class="filter-chip" data-field="${field}">+ ${SEARCH_FILTER_LABELS[field]}</button>
+    `).join('');
+
+    filtersContainer.querySelectorAll('button.filter-chip').forEach(btn => {
+      btn.addEventListener('click', () => {
+        filters[btn.dataset.field] = '';
+        renderFilters();
+        filtersContainer.querySelector(`.filter-chip-input[data-field="${btn.dataset.field}"]`).focus();
+      });
+    });
+    filtersContainer.querySelectorAll('.filter-chip-input').forEach(input => {
+      input.addEventListener('input', () => {
+        filters[input.dataset.field] = input.value;
+        runSearch();
+      });
+    });
+    filtersContainer.querySelectorAll('.filter-chip-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const active = !!filters[btn.dataset.field];
+        delete filters[btn.dataset.field];
+        renderFilters();
+        if (active) runSearch();
+      });
+    });
+  };
+
+  searchInput.addEventListener('input', runSearch);
+
+  // Load the next page when scrolled near the end of the list
+  resultsContainer.addEventListener('scroll', () => {
+    if (resultsContainer.scrollTop + resultsContainer.clientHeight >= resultsContainer.scrollHeight - 60) loadMore();
+  });
+
+  document.querySelectorAll('#source-tabs .repeat-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      searchType = btn.dataset.type;
+      librarySource = null;
+      searchInput.placeholder = SOURCE_TABS.find(tab => tab.type === searchType).placeholder;
+      showSource();
+    });
+  });
+
+  document.querySelectorAll('#library-tabs .repeat-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      librarySource = btn.dataset.source;
+      showSource();
+    });
+  });
+
+  renderFilters();
+
+  // --- Start Position ---
+  const scrubber = document.getElementById('position-scrubber');
+  const startInput = document.getElementById('position-start');
+  const endInput = document.getElementById('position-end');
+  const previewBtn = document.getElementById('position-preview');
+
+  const renderPosition = () => {
+    const first = music.pool[0];
+    // Scrub within the first song when its length is known
+    scrubber.max = first?.duration || DEFAULT_SCRUB_MS;
+    scrubber.value = position.start;
+    startInput.value = formatDuration(position.start);
+    endInput.value = position.end != null ? formatDuration(position.end) : '';
+    previewBtn.disabled = !first || !getDeviceId();
+    previewBtn.textContent = previewing ? '■ Stop' : '▶ Preview';
+
+    const hint = document.getElementById('position-hint');
+    if (position.end != null && position.end <= position.start) {
+      hint.textContent = 'The loop end has to come after the start';
+    } else if (!getDeviceId()) {
+      hint.textContent = 'Preview plays in this browser once the Spotify player is ready';
+    } else {
+      hint.textContent = music.pool.length > 1
+        ? 'Applies to whichever song is picked — preview uses the first one'
+        : 'Skip a quiet intro, or loop the best part until you\'re up';
+    }
+  };
+
+  const startPreview = async () => {
+    const first = music.pool[0];
+    if (!first) return;
+    try {
+      previewing = await playPreview(first.uri, position.start);
+      renderPosition();
+    } catch (err) {
+      previewing = false;
+      renderPosition();
+      document.getElementById('position-hint').textContent = `⚠️ ${err instanceof SpotifyError ? err.message : 'Preview failed'}`;
+    }
+  };
+
+  scrubber.addEventListener('input', () => {
+    position.start = Number(scrubber.value);
+    renderPosition();
+  });
+
+  // Hear the new spot right away while previewing
+  scrubber.addEventListener('change', () => {
+    if (previewing) startPreview();
+  });
+
+  startInput.addEventListener('change', () => {
+    const ms = parseTimestamp(startInput.value);
+    if (ms !== null) position.start = ms;
+    renderPosition();
+  });
+
+  endInput.addEventListener('change', () => {
+    const ms = endInput.value.trim() ? parseTimestamp(endInput.value) : null;
+    if (ms !== null || !endInput.value.trim()) position.end = ms;
+    renderPosition();
+  });
+
+  previewBtn.addEventListener('click', async () => {
+    if (previewing) {
+      previewing = false;
+      await stopPreview();
+      renderPosition();
+    } else {
+      startPreview();
+    }
+  });
+
+  renderPool(music, renderPosition);
+  renderPosition();
+
+  // --- Play On ---
+  const devicePrefs = document.getElementById('device-prefs');
+  let availableDevices = null; // null while loading
+
+  renderDevicePrefs(devicePrefs, devices, availableDevices);
+  getDevices()
+    .then(list => {
+      // This browser's own player is offered as "This browser" instead
+      availableDevices = list.filter(device => device.id !== getDeviceId());
+    })
+    .catch(() => {
+      availableDevices = [];
+    })
+    .finally(() => {
+      if (devicePrefs.isConnected) renderDevicePrefs(devicePrefs, devices, availableDevices);
+    });
+
+  // --- Fade-In ---
+  const fadeDuration = document.getElementById('fade-duration');
+  const fadeStart = document.getElementById('fade-start');
+  const fadeMax = document.getElementById('fade-max');
+
+  const renderFade = () => {
+    fadeStart.value = fade.startVolume;
+    fadeMax.value = fade.maxVolume;
+    document.getElementById('fade-start-value').textContent = `${fade.startVolume}%`;
+    document.getElementById('fade-max-value').textContent = `${fade.maxVolume}%`;
+    document.querySelectorAll('#fade-curves .repeat-mode-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.curve === fade.curve);
+      btn.disabled = fade.duration === 0;
+    });
+    fadeStart.disabled = fade.duration === 0;
+    renderFadePreview(document.getElementById('fade-preview'), fade);
+  };
+
+  fadeDuration.addEventListener('change', () => {
+    fade.duration = Number(fadeDuration.value);
+    renderFade();
+  });
+
+  document.querySelectorAll('#fade-curves .repeat-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      fade.curve = btn.dataset.curve;
+      renderFade();
+    });
+  });
+
+  // Start can't go above max — whichever slider moved wins
+  fadeStart.addEventListener('input', () => {
+    fade.startVolume = Number(fadeStart.value);
+    fade.maxVolume = Math.max(fade.maxVolume, fade.startVolume);
+    renderFade();
+  });
+
+  fadeMax.addEventListener('input', () => {
+    fade.maxVolume = Number(fadeMax.value);
+    fade.startVolume = Math.min(fade.startVolume, fade.maxVolume);
+    renderFade();
+  });
+
+  renderFade();
+
+  // --- Backup Tone ---
+  const toneTempo = document.getElementById('tone-tempo');
+  const tonePitch = document.getElementById('tone-pitch');
+  const toneCustomSelect = document.getElementById('tone-custom-select');
+  const tonePreviewBtn = document.getElementById('tone-preview');
+  const toneFile = document.getElementById('tone-file');
+  const toneHint = document.getElementById('tone-hint');
+
+  const renderTone = () => {
+    const isCustom = tone.preset === CUSTOM_TONE;
+    const uploads = getCustomTones();
+
+    document.querySelectorAll('#tone-presets .repeat-mode-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.preset === tone.preset);
+    });
+    document.querySelectorAll('#tone-patterns .repeat-mode-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.pattern === getPattern(tone).id);
+    });
+    document.getElementById('tone-settings').style.display = isCustom ? 'none' : '';
+    document.getElementById('tone-custom').style.display = isCustom ? '' : 'none';
+    document.getElementById('tone-pitch-value').textContent = `${tone.pitch > 0 ? '+' : ''}${tone.pitch}`;
+
+    toneCustomSelect.innerHTML = uploads.length > 0
+      ? uploads.map(t => `<option value="${t.id}" ${t.id === tone.customId ? 'selected' : ''}>${t.name}</option>`).join('')
+      : '<option value="">No uploads yet</option>';
+    toneCustomSelect.disabled = uploads.length === 0;
+    document.getElementById('tone-delete').disabled = !getCustomTone(tone.customId);
+
+    tonePreviewBtn.disabled = isCustom && !getCustomTone(tone.customId);
+    tonePreviewBtn.textContent = tonePreviewing ? '■ Stop' : '▶ Preview';
+    document.getElementById('tone-summary').textContent = describeTone(tone, getCustomTone(tone.customId)?.name);
+  };
+
+  // Hear each change right away while previewing
+  const updateTone = () => {
+    if (tonePreviewing) tonePreviewing = previewTone(tone);
+    renderTone();
+  };
+
+  document.querySelectorAll('#tone-presets .repeat-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      tone.preset = btn.dataset.preset;
+      tone.pattern = null;
+      if (tone.preset === CUSTOM_TONE && !getCustomTone(tone.customId)) {
+        tone.customId = getCustomTones()[0]?.id || null;
       }
-    }, 400);
+      updateTone();
+    });
   });
 
+  document.querySelectorAll('#tone-patterns .repeat-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      tone.pattern = btn.dataset.pattern;
+      updateTone();
+    });
+  });
+
+  toneTempo.addEventListener('change', () => {
+    tone.tempo = Number(toneTempo.value);
+    updateTone();
+  });
+
+  tonePitch.addEventListener('input', () => {
+    tone.pitch = Number(tonePitch.value);
+    renderTone();
+  });
+  tonePitch.addEventListener('change', updateTone);
+
+  toneCustomSelect.addEventListener('change', () => {
+    tone.customId = toneCustomSelect.value || null;
+    updateTone();
+  });
+
+  document.getElementById('tone-upload').addEventListener('click', () => toneFile.click());
+
+  toneFile.addEventListener('change', async () => {
+    const file = toneFile.files[0];
+    toneFile.value = '';
+    if (!file) return;
+    try {
+      tone.customId = (await addCustomTone(file)).id;
+      toneHint.textContent = 'Saved in this browser — it isn\'t uploaded anywhere';
+    } catch (err) {
+      toneHint.textContent = `⚠️ ${err.message}`;
+    }
+    if (toneHint.isConnected) updateTone();
+  });
+
+  document.getElementById('tone-delete').addEventListener('click', async () => {
+    const custom = getCustomTone(tone.customId);
+    if (!custom || !confirm(`Delete "${custom.name}"? Alarms using it will ring the gentle chime instead.`)) return;
+    if (tonePreviewing) {
+      tonePreviewing = false;
+      stopTonePreview();
+    }
+    await deleteCustomTone(custom.id);
+    tone.customId = getCustomTones()[0]?.id || null;
+    renderTone();
+  });
+
+  tonePreviewBtn.addEventListener('click', () => {
+    if (tonePreviewing) {
+      tonePreviewing = false;
+      stopTonePreview();
+    } else {
+      tonePreviewing = previewTone(tone);
+    }
+    renderTone();
+  });
+
+  renderTone();
+
+  // --- Escalation ---
+  const escalationInputs = {
+    enabled: document.getElementById('escalation-enabled'),
+    step: document.getElementById('escalation-step'),
+    limit: document.getElementById('escalation-limit'),
+    action: document.getElementById('escalation-action'),
+  };
+
+  const renderEscalation = () => {
+    escalation.enabled = escalationInputs.enabled.checked;
+    escalation.stepMinutes = Number(escalationInputs.step.value);
+    escalation.limitMinutes = Number(escalationInputs.limit.value);
+    escalation.limitAction = escalationInputs.action.value;
+    document.getElementById('escalation-options').style.display = escalation.enabled ? '' : 'none';
+    document.getElementById('escalation-summary').textContent = escalation.enabled ? describeEscalation(escalation) : '';
+  };
+
+  Object.values(escalationInputs).forEach(input => input.addEventListener('change', renderEscalation));
+  renderEscalation();
+
   // --- Save ---
   document.getElementById('editor-save').addEventListener('click', () => {
     let h = parseInt(hoursInput.value);
@@ -158,81 +1002,534 @@ export function renderEditor(container, { alarmId = null, onSave, onCancel }) {
     if (m > 59) m = 59;
     const time = `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
     const label = document.getElementById('alarm-label').value.trim();
+    const recurrence = normalizeRule(rule);
+    // Keep the plain weekday list for simple weekly rules
+    const isPlainWeekly = recurrence.freq === 'weekly' && recurrence.interval === 1;
+
+    if (recurrence.skipHolidays) {
+      setHolidays(holidays);
+    }
+
+    let groupId = groupSelect.value || null;
+    if (groupId === NEW_GROUP) {
+      const name = newGroupInput.value.trim();
+      groupId = name ? createGroup(name).id : null;
+    }
 
     const alarmData = {
       time,
       label,
-      trackUri: selectedTrack?.uri || '',
-      trackName: selectedTrack?.name || '',
-      trackArtist: selectedTrack?.artist || '',
-      trackImage: selectedTrack?.image || '',
+      // A ring since the editor opened may have moved the rotation on
+      ...getPoolFields(music.pool, music.rotation, (isEdit && getAlarm(alarmId)) || existing),
+      shuffle: music.shuffle,
+      // A start position only makes sense for a single playlist or album
+      startOffset: music.pool.length === 1 ? music.startOffset : null,
+      fade: { ...fade },
+      devices,
+      startPosition: position.start,
+      loopEnd: position.end > position.start ? position.end : null,
+      escalation: { ...escalation },
+      // Without an upload to play, "Your own" would only ever ring the chime
+      tone: tone.preset === CUSTOM_TONE && !getCustomTone(tone.customId) ? null : { ...tone },
       enabled: true,
-      days: selectedDays,
+      days: isPlainWeekly ? recurrence.byDay : [],
+      recurrence,
+      groupId,
+      timeZone: document.getElementById('alarm-timezone').value || null,
     };
 
-    if (isEdit) {
-      updateAlarm(alarmId, alarmData);
-    } else {
+    // Saving is a tap, so the tone can be unlocked for iOS now
+    prepareAlarmTone(getTone(alarmData));
+
+    // An alarm deleted in another tab while we edited it is re-created
+    if (!isEdit || !updateAlarm(alarmId, alarmData)) {
       createAlarm(alarmData);
     }
 
+    destroyEditor();
     onSave();
   });
 
   // --- Cancel ---
-  document.getElementById('editor-cancel').addEventListener('click', onCancel);
+  document.getElementById('editor-cancel').addEventListener('click', () => {
+    destroyEditor();
+    onCancel();
+  });
+
+  // --- Changes From Other Tabs ---
+  if (isEdit) {
+    // A ring in another tab only moves the rotation on, which isn't a conflict
+    const original = editableFields(existing);
+    unsubscribeChanges = onAlarmsChanged(({ remote }) => {
+      if (!remote) return;
+      const current = getAlarm(alarmId);
+      if (current && editableFields(current) === original) return;
+      showConflict(current, () => renderEditor(container, { alarmId, onSave, onCancel }));
+    });
+  }
+}
+
+export function destroyEditor() {
+  clearTimeout(searchTimeout);
+  if (previewing) {
+    previewing = false;
+    stopPreview();
+  }
+  if (tonePreviewing) {
+    tonePreviewing = false;
+    stopTonePreview();
+  }
+  if (unsubscribeChanges) {
+    unsubscribeChanges();
+    unsubscribeChanges = null;
+  }
+}
+
+function editableFields(alarm) {
+  const fields = { ...alarm };
+  ROTATION_STATE_FIELDS.forEach(key => delete fields[key]);
+  return JSON.stringify(fields);
+}
+
+function showConflict(current, onReload) {
+  const banner = document.getElementById('editor-conflict');
+  if (!banner) return;
+
+  banner.innerHTML = current
+    ? `<span>⚠️ This alarm was changed in another tab. Saving will overwrite those changes.</span>
+       <button class="editor-small-btn" id="editor-conflict-reload">Load their version</button>`
+    : `<span>⚠️ This alarm was deleted in another tab. Saving will create it again.</span>`;
+  banner.style.display = '';
+
+  const reloadBtn = document.getElementById('editor-conflict-reload');
+  if (reloadBtn) reloadBtn.addEventListener('click', onReload);
+}
+
+function getTimeZoneOptions(current) {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [...COMMON_TIME_ZONES];
+  // Keep a saved zone selectable even if this browser doesn't list it
+  if (current && !zones.includes(current)) zones.push(current);
+  return zones;
+}
+
+// Clean up the working rule for saving: drop fields the chosen
+// frequency doesn't use and fall back to one-time when nothing is picked
+function normalizeRule(rule) {
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  const normalized = {
+    freq: rule.freq,
+    interval: 1,
+    byDay: [],
+    bySetPos: null,
+    byMonthDay: null,
+    start: rule.start || '',
+    skipHolidays: rule.freq !== 'once' && rule.skipHolidays,
+    exDates: rule.freq !== 'once' ? [...rule.exDates] : [],
+  };
+
+  switch (rule.freq) {
+    case 'weekly':
+      if (rule.byDay.length === 0) {
+        return { ...normalized, freq: 'once', start: '', skipHolidays: false, exDates: [] };
+      }
+      normalized.byDay = [...rule.byDay].sort();
+      normalized.interval = interval;
+      break;
+    case 'daily':
+      normalized.interval = interval;
+      break;
+    case 'monthly':
+      normalized.interval = interval;
+      if (rule.bySetPos) {
+        normalized.bySetPos = rule.bySetPos;
+        normalized.byDay = [...rule.byDay];
+      } else {
+        normalized.byMonthDay = rule.byMonthDay || 1;
+      }
+      break;
+  }
+
+  // Repeating every N > 1 needs an anchor to count from
+  if (normalized.interval > 1 && !normalized.start) {
+    normalized.start = toDateKey(new Date());
+  }
+  return normalized;
+}
+
+// Chip list of 'YYYY-MM-DD' dates with a date input to add more
+function renderDateListEditor(container, dates, { idPrefix, addLabel, emptyText, hint = '', min = '', onChange }) {
+  container.innerHTML = `
+    <div class="date-chips">
+      ${dates.length === 0 ? `<span class="editor-hint">${emptyText}</span>` : ''}
+      ${dates.map(date => `
+        <span class="date-chip">${formatDateKey(date)}<button data-date="${date}" title="Remove">✕</button></span>
+      `).join('')}
+    </div>
+    <div class="repeat-row">
+      <input type="date" class="editor-input editor-input-small" id="${idPrefix}-input" ${min ? `min="${min}"` : ''} />
+      <button class="editor-small-btn" id="${idPrefix}-add">${addLabel}</button>
+    </div>
+    ${hint ? `<div class="editor-hint">${hint}</div>` : ''}
+  `;
+
+  const update = (next) => {
+    onChange(next);
+    renderDateListEditor(container, next, { idPrefix, addLabel, emptyText, hint, min, onChange });
+  };
+
+  container.querySelectorAll('.date-chip button').forEach(btn => {
+    btn.addEventListener('click', () => {
+      update(dates.filter(d => d !== btn.dataset.date));
+    });
+  });
+
+  document.getElementById(`${idPrefix}-add`).addEventListener('click', () => {
+    const date = document.getElementById(`${idPrefix}-input`).value;
+    if (!date || dates.includes(date)) return;
+    update([...dates, date].sort());
+  });
 }
 
-function renderSelectedSong(track) {
+function formatDateKey(key) {
+  return parseDateKey(key).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function renderRepeatOptions(container, rule, onChange) {
+  const today = toDateKey(new Date());
+
+  if (rule.freq === 'once') {
+    container.innerHTML = `
+      <div class="repeat-row">
+        <span>On</span>
+        <input type="date" class="editor-input editor-input-small" id="repeat-start" value="${rule.start}" min="${today}" />
+      </div>
+      <div class="editor-hint">Leave the date empty to ring the next time this time comes round</div>
+    `;
+  } else if (rule.freq === 'weekly') {
+    container.innerHTML = `
+      <div class="days-selector" id="days-selector">
+        ${DAY_NAMES.map((day, i) => `
+          <button class="day-btn ${rule.byDay.includes(i) ? 'active' : ''}" data-day="${i}">${day}</button>
+        `).join('')}
+      </div>
+      <div class="repeat-row">
+        <span>Every</span>
+        <select class="editor-select" id="repeat-interval">
+          ${[1, 2, 3, 4].map(n => `<option value="${n}" ${rule.interval === n ? 'selected' : ''}>${n === 1 ? 'week' : `${n} weeks`}</option>`).join('')}
+        </select>
+        ${rule.interval > 1 ? `
+          <span>starting</span>
+          <input type="date" class="editor-input editor-input-small" id="repeat-start" value="${rule.start || today}" />
+        ` : ''}
+      </div>
+    `;
+  } else if (rule.freq === 'daily') {
+    container.innerHTML = `
+      <div class="repeat-row">
+        <span>Every</span>
+        <input type="number" class="editor-input editor-input-small" id="repeat-interval" value="${rule.interval}" min="1" max="365" />
+        <span>days, starting</span>
+        <input type="date" class="editor-input editor-input-small" id="repeat-start" value="${rule.start || today}" />
+      </div>
+    `;
+  } else if (rule.freq === 'monthly') {
+    const pos = rule.bySetPos ? String(rule.bySetPos) : 'date';
+    const kind = DAY_KIND_OPTIONS.find(k => k.byDay.join(',') === [...rule.byDay].sort().join(','))?.value || 'day';
+    container.innerHTML = `
+      <div class="repeat-row">
+        <span>On the</span>
+        <select class="editor-select" id="repeat-setpos">
+          ${SET_POS_OPTIONS.map(o => `<option value="${o.value}" ${o.value === pos ? 'selected' : ''}>${o.label}</option>`).join('')}
+        </select>
+        ${pos === 'date' ? `
+          <input type="number" class="editor-input editor-input-small" id="repeat-monthday" value="${rule.byMonthDay || 1}" min="1" max="31" />
+        ` : `
+          <select class="editor-select" id="repeat-daykind">
+            ${DAY_KIND_OPTIONS.map(o => `<option value="${o.value}" ${o.value === kind ? 'selected' : ''}>${o.label}</option>`).join('')}
+          </select>
+        `}
+      </div>
+      <div class="repeat-row">
+        <span>of every</span>
+        <select class="editor-select" id="repeat-interval">
+          ${[1, 2, 3, 6].map(n => `<option value="${n}" ${rule.interval === n ? 'selected' : ''}>${n === 1 ? 'month' : `${n} months`}</option>`).join('')}
+        </select>
+      </div>
+    `;
+  }
+
+  // --- Bind ---
+  const bind = (id, event, handler) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(event, () => { handler(el); onChange(); });
+  };
+
+  bind('repeat-start', 'change', el => { rule.start = el.value; });
+  bind('repeat-interval', 'change', el => {
+    rule.interval = Math.max(1, parseInt(el.value) || 1);
+    // Weekly rules show a start date only once the interval is > 1
+    if (rule.freq === 'weekly') renderRepeatOptions(container, rule, onChange);
+  });
+  bind('repeat-monthday', 'change', el => {
+    rule.byMonthDay = Math.min(31, Math.max(1, parseInt(el.value) || 1));
+  });
+  bind('repeat-daykind', 'change', el => {
+    rule.byDay = [...DAY_KIND_OPTIONS.find(k => k.value === el.value).byDay];
+  });
+  bind('repeat-setpos', 'change', el => {
+    rule.bySetPos = el.value === 'date' ? null : parseInt(el.value);
+    renderRepeatOptions(container, rule, onChange);
+  });
+
+  const daysContainer = document.getElementById('days-selector');
+  if (daysContainer) {
+    daysContainer.addEventListener('click', (e) => {
+      const btn = e.target.closest('.day-btn');
+      if (!btn) return;
+      const day = parseInt(btn.dataset.day);
+      const idx = rule.byDay.indexOf(day);
+      if (idx > -1) {
+        rule.byDay.splice(idx, 1);
+        btn.classList.remove('active');
+      } else {
+        rule.byDay.push(day);
+        btn.classList.add('active');
+      }
+      onChange();
+    });
+  }
+}
+
+function renderPool(music, onChange) {
   const container = document.getElementById('selected-song-container');
   if (!container) return;
 
-  if (!track || !track.uri) {
+  const { pool } = music;
+  if (pool.length === 0) {
     container.innerHTML = '';
     return;
   }
 
+  const hasContext = pool.some(item => isContextUri(item.uri));
+  const canOffset = pool.length === 1 && supportsOffset(pool[0].uri);
+
   container.innerHTML = `
-    <div class="selected-song">
-      <img class="selected-song-art" src="${track.image || ''}" alt="" />
-      <div class="selected-song-info">
-        <div class="selected-song-name">${track.name}</div>
-        <div class="selected-song-artist">${track.artist}</div>
+    ${pool.map((item, i) => `
+      <div class="selected-song" data-index="${i}">
+        <img class="selected-song-art" src="${item.image || ''}" alt="" />
+        <div class="selected-song-info">
+          <div class="selected-song-name">${item.name}</div>
+          <div class="selected-song-artist">${item.artist}</div>
+        </div>
+        ${pool.length > 1 ? `
+          <button class="pool-move-btn" data-move="-1" title="Move up" ${i === 0 ? 'disabled' : ''}>▲</button>
+          <button class="pool-move-btn" data-move="1" title="Move down" ${i === pool.length - 1 ? 'disabled' : ''}>▼</button>
+        ` : ''}
+        <button class="selected-song-remove" title="Remove">✕</button>
       </div>
-      <button class="selected-song-remove" id="remove-song" title="Remove song">✕</button>
+    `).join('')}
+    ${pool.length > 1 ? `
+      <div class="repeat-row pool-rotation">
+        <span>Each time, play</span>
+        <select class="editor-select" id="pool-rotation">
+          ${ROTATION_OPTIONS.map(opt => `<option value="${opt.value}" ${music.rotation === opt.value ? 'selected' : ''}>${opt.label}</option>`).join('')}
+        </select>
+      </div>
+    ` : ''}
+    ${hasContext ? `
+      <div class="source-options">
+        <label class="editor-checkbox">
+          <input type="checkbox" id="source-shuffle" ${music.shuffle ? 'checked' : ''} />
+          Shuffle playlists, albums and artists
+        </label>
+        ${canOffset ? `
+          <div class="repeat-row">
+            <span>Start at item</span>
+            <input type="number" class="editor-input editor-input-small" id="source-offset" min="1" ${pool[0].size ? `max="${pool[0].size}"` : ''}
+              value="${music.startOffset != null ? music.startOffset + 1 : ''}" placeholder="${music.shuffle ? 'Random' : '1'}" />
+          </div>
+        ` : ''}
+      </div>
+    ` : ''}
+    ${pool.length === 1 ? '<div class="editor-hint">Add more to rotate through a different pick each time</div>' : ''}
+  `;
+
+  container.querySelectorAll('.selected-song').forEach(row => {
+    const index = Number(row.dataset.index);
+
+    row.querySelector('.selected-song-remove').addEventListener('click', () => {
+      pool.splice(index, 1);
+      music.startOffset = null;
+      renderPool(music, onChange);
+      onChange();
+    });
+
+    row.querySelectorAll('.pool-move-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const target = index + Number(btn.dataset.move);
+        [pool[index], pool[target]] = [pool[target], pool[index]];
+        renderPool(music, onChange);
+        onChange();
+      });
+    });
+  });
+
+  const rotationSelect = document.getElementById('pool-rotation');
+  if (rotationSelect) {
+    rotationSelect.addEventListener('change', () => {
+      music.rotation = rotationSelect.value;
+    });
+  }
+
+  const shuffleInput = document.getElementById('source-shuffle');
+  const offsetInput = document.getElementById('source-offset');
+
+  if (shuffleInput) {
+    shuffleInput.addEventListener('change', () => {
+      music.shuffle = shuffleInput.checked;
+      if (offsetInput) offsetInput.placeholder = music.shuffle ? 'Random' : '1';
+    });
+  }
+
+  if (offsetInput) {
+    offsetInput.addEventListener('input', () => {
+      const position = parseInt(offsetInput.value);
+      music.startOffset = position >= 1 ? position - 1 : null;
+    });
+  }
+}
+
+function renderDevicePrefs(container, devices, available) {
+  const isAvailable = (device) => device.id === BROWSER_DEVICE
+    || !available || available.some(d => d.id === device.id || d.name === device.name);
+  const addable = [
+    { id: BROWSER_DEVICE, name: 'This browser', type: BROWSER_DEVICE },
+    ...(available || []).map(({ id, name, type }) => ({ id, name, type })),
+  ].filter(device => !devices.some(d => d.id === device.id));
+
+  container.innerHTML = `
+    ${devices.map((device, i) => `
+      <div class="device-row" data-index="${i}">
+        <span class="device-icon">${DEVICE_ICONS[device.type] || '🎧'}</span>
+        <span class="device-name">${i + 1}. ${device.name}</span>
+        ${isAvailable(device) ? '' : '<span class="device-offline">offline</span>'}
+        <button class="pool-move-btn" data-move="-1" title="Move up" ${i === 0 ? 'disabled' : ''}>▲</button>
+        <button class="pool-move-btn" data-move="1" title="Move down" ${i === devices.length - 1 ? 'disabled' : ''}>▼</button>
+        <button class="selected-song-remove" title="Remove">✕</button>
+      </div>
+    `).join('')}
+    <div class="repeat-row">
+      <select class="editor-select editor-select-wide" id="device-add" ${!available || addable.length === 0 ? 'disabled' : ''}>
+        <option value="">${!available ? 'Looking for devices…' : addable.length > 0 ? 'Add a device…' : 'No other devices found'}</option>
+        ${addable.map(device => `<option value="${device.id}">${DEVICE_ICONS[device.type] || '🎧'} ${device.name}</option>`).join('')}
+      </select>
     </div>
   `;
 
-  document.getElementById('remove-song').addEventListener('click', () => {
-    track.uri = '';
-    track.name = '';
-    track.artist = '';
-    track.image = '';
-    container.innerHTML = '';
+  const rerender = () => renderDevicePrefs(container, devices, available);
+
+  container.querySelectorAll('.device-row').forEach(row => {
+    const index = Number(row.dataset.index);
+
+    row.querySelector('.selected-song-remove').addEventListener('click', () => {
+      devices.splice(index, 1);
+      rerender();
+    });
+
+    row.querySelectorAll('.pool-move-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const target = index + Number(btn.dataset.move);
+        [devices[index], devices[target]] = [devices[target], devices[index]];
+        rerender();
+      });
+    });
+  });
+
+  const addSelect = container.querySelector('#device-add');
+  addSelect.addEventListener('change', () => {
+    const device = addable.find(d => d.id === addSelect.value);
+    if (device) devices.push(device);
+    rerender();
   });
 }
 
-function renderSearchResults(tracks, container, onSelect) {
-  if (tracks.length === 0) {
-    container.innerHTML = '<div class="song-search-loading">No results found</div>';
+// "m:ss" or plain seconds to ms, or null if it can't be read
+function parseTimestamp(text) {
+  const match = text.trim().match(/^(?:(\d+):)?(\d+)$/);
+  if (!match) return null;
+  const [, minutes, seconds] = match;
+  if (minutes !== undefined && Number(seconds) > 59) return null;
+  return (Number(minutes || 0) * 60 + Number(seconds)) * 1000;
+}
+
+// Plots volume over the fade's duration as an SVG line
+function renderFadePreview(container, fade) {
+  const width = 240;
+  const height = 64;
+  const points = [];
+  for (let i = 0; i <= 48; i++) {
+    const progress = i / 48;
+    const volume = fadeVolumeAt(fade, progress * fade.duration);
+    points.push(`${(progress * width).toFixed(1)},${(height - volume * height).toFixed(1)}`);
+  }
+
+  container.innerHTML = `
+    <svg class="fade-preview-graph" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+      <line x1="0" y1="${height}" x2="${width}" y2="${height}" />
+      <polyline points="${points.join(' ')}" />
+    </svg>
+    <div class="repeat-summary">${describeFade(fade)}</div>
+  `;
+}
+
+// Renders every page loaded so far, then a "load more" button, a
+// loading note, or the error for the last page with a retry
+function renderSearchResults(search, container, { onSelect, onMore, onRetry }) {
+  const { results, nextOffset, loading, error } = search;
+  const retryButton = '<button class="song-results-more" data-retry>Try again</button>';
+  if (results.length === 0) {
+    const note = loading
+      ? (search.source ? 'Loading...' : 'Searching...')
+      : (search.source ? 'Nothing here yet' : 'No results found');
+    const message = error || note;
+    container.innerHTML = `<div class="song-search-loading">${message}</div>${error && !loading ? retryButton : ''}`;
+    container.querySelector('[data-retry]')?.addEventListener('click', onRetry);
     return;
   }
 
-  container.innerHTML = tracks.map(track => `
-    <div class="song-result-item" data-uri="${track.uri}">
-      <img class="song-result-art" src="${track.imageSmall || track.image}" alt="" loading="lazy" />
+  // Re-rendering the list would otherwise jump back to the top
+  const scrollTop = container.scrollTop;
+  container.innerHTML = results.map(result => `
+    <div class="song-result-item ${result.playable ? '' : 'unplayable'}" data-uri="${result.uri}"
+      ${result.playable ? '' : `title="${describeUnplayable(result)}"`}>
+      <img class="song-result-art" src="${result.imageSmall || result.image}" alt="" loading="lazy" />
       <div class="song-result-info">
-        <div class="song-result-name">${track.name}</div>
-        <div class="song-result-artist">${track.artist}</div>
+        <div class="song-result-name">${result.name}</div>
+        <div class="song-result-artist">${result.playable ? result.artist : describeUnplayable(result)}</div>
       </div>
-      <div class="song-result-duration">${formatDuration(track.duration)}</div>
-      <div class="song-result-check">✓</div>
+      <div class="song-result-duration">${result.duration ? formatDuration(result.duration) : result.size ? `${result.size} items` : ''}</div>
+      <div class="song-result-check">${result.playable ? '✓' : '⊘'}</div>
     </div>
-  `).join('');
+  `).join('') + (
+    loading ? '<div class="song-search-loading">Loading more...</div>'
+      : error ? `<div class="song-search-loading">${error}</div>${retryButton}`
+        : nextOffset != null ? '<button class="song-results-more" data-more>Load more</button>'
+          : ''
+  );
+  container.scrollTop = scrollTop;
 
   container.querySelectorAll('.song-result-item').forEach((el, i) => {
+    if (!results[i].playable) return;
     el.addEventListener('click', () => {
-      onSelect(tracks[i]);
+      onSelect(results[i]);
     });
   });
+  container.querySelector('[data-more]')?.addEventListener('click', onMore);
+  container.querySelector('[data-retry]')?.addEventListener('click', onRetry);
+}
+
+function describeUnplayable(result) {
+  return result.unplayableReason === 'market' ? 'Not available in your country' : 'Can\'t be played on your account';
 }
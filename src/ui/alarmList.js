@@ -2,14 +2,34 @@
 // Alarm List View
 // ============================================
 
-import { getAlarms, toggleAlarm, deleteAlarm, DAY_NAMES } from '../alarms.js';
+import {
+    getAlarms, toggleAlarm, deleteAlarm, getSnoozeTime, cancelSnooze,
+    getMissedAlarms, dismissMissedAlarm, clearMissedAlarms, getGraceMinutes, setGraceMinutes,
+    getRecurrence, describeRecurrence, skipNextOccurrence, getUpcomingExceptions,
+    parseDateKey, getPauseUntil, pauseAlarmsUntil, resumeAlarms, formatPauseUntil,
+    getGroups, setGroupEnabled, deleteGroup, getAlarmTimeZone, formatZoneLabel, onAlarmsChanged,
+    getUpcomingPick, DAY_NAMES,
+} from '../alarms.js';
+import { getQuarantinedAlarms, clearQuarantine, hasSnapshot, rollbackAlarms } from '../storage.js';
+
+const GRACE_OPTIONS = [1, 5, 10, 30, 60];
+
+let snoozeTimerId = null;
+let unsubscribeChanges = null;
 
 export function renderAlarmList(container, { onEdit, onAdd }) {
     const alarms = getAlarms();
+    stopSnoozeCountdown();
+
+    // Re-render on every store change, ours or another tab's — the checker
+    // also records missed alarms and turns off one-time alarms on its own
+    if (unsubscribeChanges) unsubscribeChanges();
+    unsubscribeChanges = onAlarmsChanged(() => renderAlarmList(container, { onEdit, onAdd }));
 
     if (alarms.length === 0) {
         container.innerHTML = `
       <div class="alarm-section">
+        ${renderStorageNotice()}
         <div class="empty-state">
           <div class="empty-state-icon">⏰</div>
           <div class="empty-state-text">No alarms yet</div>
@@ -24,28 +44,111 @@ export function renderAlarmList(container, { onEdit, onAdd }) {
             return a.time.localeCompare(b.time);
         });
 
+        const graceMinutes = getGraceMinutes();
+        const pauseUntil = getPauseUntil();
+
         container.innerHTML = `
       <div class="alarm-section">
+        ${renderStorageNotice()}
+        ${renderMissedAlarms(getMissedAlarms())}
         <div class="alarm-section-header">
           <div class="alarm-section-title">Your Alarms</div>
-          <div class="alarm-count">${alarms.filter(a => a.enabled).length} active</div>
+          <div class="alarm-section-meta">
+            <div class="alarm-count">${alarms.filter(a => a.enabled).length} active</div>
+            ${pauseUntil ? '' : '<button class="alarm-pause-btn" id="alarm-pause-btn">⏸ Pause all</button>'}
+          </div>
         </div>
-        <div class="alarm-list">
-          ${sorted.map(alarm => renderAlarmCard(alarm)).join('')}
+        ${renderPauseBanner(pauseUntil)}
+        <div class="pause-form" id="pause-form" style="display:none;">
+          <div class="pause-form-label">Pause all alarms until</div>
+          <div class="pause-form-row">
+            <input type="datetime-local" class="editor-input editor-input-small" id="pause-until-input" value="${defaultPauseValue()}" />
+            <button class="editor-small-btn" id="pause-confirm">Pause</button>
+            <button class="editor-small-btn" id="pause-cancel">Cancel</button>
+          </div>
+        </div>
+        ${renderGroupedAlarms(sorted, !!pauseUntil)}
+        <div class="alarm-grace">
+          Late alarms still ring up to
+          <select class="alarm-grace-select" id="alarm-grace-select">
+            ${GRACE_OPTIONS.map(m => `<option value="${m}" ${m === graceMinutes ? 'selected' : ''}>${m} min</option>`).join('')}
+          </select>
+          after their time
         </div>
       </div>
     `;
 
+        // Missed alarms
+        container.querySelectorAll('.missed-alarm-dismiss').forEach(btn => {
+            btn.addEventListener('click', () => {
+                dismissMissedAlarm(btn.dataset.id);
+            });
+        });
+
+        const clearMissedBtn = document.getElementById('missed-alarms-clear');
+        if (clearMissedBtn) {
+            clearMissedBtn.addEventListener('click', () => {
+                clearMissedAlarms();
+            });
+        }
+
+        // Pause all
+        const pauseBtn = document.getElementById('alarm-pause-btn');
+        const pauseForm = document.getElementById('pause-form');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                pauseForm.style.display = '';
+            });
+        }
+
+        document.getElementById('pause-cancel').addEventListener('click', () => {
+            pauseForm.style.display = 'none';
+        });
+
+        document.getElementById('pause-confirm').addEventListener('click', () => {
+            const until = new Date(document.getElementById('pause-until-input').value).getTime();
+            if (isNaN(until) || until <= Date.now()) return;
+            pauseAlarmsUntil(until);
+        });
+
+        const resumeBtn = document.getElementById('alarm-resume-btn');
+        if (resumeBtn) {
+            resumeBtn.addEventListener('click', () => {
+                resumeAlarms();
+            });
+        }
+
+        // Group switches
+        container.querySelectorAll('.group-toggle input').forEach(input => {
+            input.addEventListener('change', () => {
+                setGroupEnabled(input.dataset.group, input.checked);
+            });
+        });
+
+        container.querySelectorAll('.group-delete-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (confirm(`Delete the "${btn.dataset.name}" group? Its alarms are kept.`)) {
+                    deleteGroup(btn.dataset.group);
+                }
+            });
+        });
+
+        document.getElementById('alarm-grace-select').addEventListener('change', (e) => {
+            setGraceMinutes(parseInt(e.target.value));
+        });
+
         // Bind events
         sorted.forEach(alarm => {
             const card = document.getElementById(`alarm-card-${alarm.id}`);
             const toggle = document.getElementById(`alarm-toggle-${alarm.id}`);
             const deleteBtn = document.getElementById(`alarm-delete-${alarm.id}`);
+            const cancelSnoozeBtn = document.getElementById(`alarm-snooze-cancel-${alarm.id}`);
+            const skipBtn = document.getElementById(`alarm-skip-${alarm.id}`);
 
             if (card) {
                 card.addEventListener('click', (e) => {
-                    // Don't trigger edit when clicking toggle or delete
-                    if (e.target.closest('.toggle') || e.target.closest('.alarm-delete-btn')) return;
+                    // Don't trigger edit when clicking one of the card's own controls
+                    if (e.target.closest('.toggle, .alarm-delete-btn, .alarm-snooze-cancel, .alarm-skip-btn')) return;
                     onEdit(alarm.id);
                 });
             }
@@ -54,8 +157,6 @@ export function renderAlarmList(container, { onEdit, onAdd }) {
                 toggle.addEventListener('change', (e) => {
                     e.stopPropagation();
                     toggleAlarm(alarm.id);
-                    // Re-render
-                    renderAlarmList(container, { onEdit, onAdd });
                 });
             }
 
@@ -64,13 +165,30 @@ export function renderAlarmList(container, { onEdit, onAdd }) {
                     e.stopPropagation();
                     if (confirm('Delete this alarm?')) {
                         deleteAlarm(alarm.id);
-                        renderAlarmList(container, { onEdit, onAdd });
                     }
                 });
             }
+
+            if (skipBtn) {
+                skipBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    skipNextOccurrence(alarm.id);
+                });
+            }
+
+            if (cancelSnoozeBtn) {
+                cancelSnoozeBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    cancelSnooze(alarm.id);
+                });
+            }
         });
+
+        startSnoozeCountdown();
     }
 
+    bindStorageNotice(() => renderAlarmList(container, { onEdit, onAdd }));
+
     // FAB
     let fab = document.getElementById('add-alarm-fab');
     if (!fab) {
@@ -83,28 +201,61 @@ export function renderAlarmList(container, { onEdit, onAdd }) {
     fab.onclick = onAdd;
 }
 
-function renderAlarmCard(alarm) {
-    const daysHtml = DAY_NAMES.map((d, i) => {
-        const active = alarm.days.includes(i) ? 'active' : '';
-        return `<div class="alarm-day-dot ${active}">${d[0]}</div>`;
-    }).join('');
+function renderAlarmCard(alarm, paused) {
+    const rule = getRecurrence(alarm);
+    const timeZone = getAlarmTimeZone(alarm);
+    const daysHtml = rule.freq === 'weekly'
+        ? `<div class="alarm-days">${DAY_NAMES.map((d, i) => {
+            const active = rule.byDay.includes(i) ? 'active' : '';
+            return `<div class="alarm-day-dot ${active}">${d[0]}</div>`;
+        }).join('')}</div>`
+        : '';
+
+    // Plain one-time alarms need no summary, as before
+    const repeatText = rule.freq === 'once' && !rule.start ? '' : describeRecurrence(alarm);
+    const skipHtml = rule.freq !== 'once' && alarm.enabled
+        ? `<button class="alarm-skip-btn" id="alarm-skip-${alarm.id}" title="Skip the next ring">Skip next</button>`
+        : '';
+
+    const skipping = getUpcomingExceptions(alarm);
+    const skippingHtml = skipping.length > 0
+        ? `<div class="alarm-skipping">⏭ Skipping ${formatShortDate(skipping[0])}${skipping.length > 1 ? ` +${skipping.length - 1} more` : ''}</div>`
+        : '';
+
+    const snoozeTime = getSnoozeTime(alarm.id);
+    const snoozeHtml = snoozeTime
+        ? `<div class="alarm-snooze">
+          😴 Snoozed — rings in <span class="alarm-snooze-countdown" data-until="${snoozeTime}">${formatCountdown(snoozeTime - Date.now())}</span>
+          <button class="alarm-snooze-cancel" id="alarm-snooze-cancel-${alarm.id}">Cancel</button>
+        </div>`
+        : '';
+
+    // Show what the next ring will play — a snooze replays the current pick
+    const rotating = alarm.pool.length > 1 && !snoozeTime;
+    const pick = rotating
+        ? getUpcomingPick(alarm)
+        : { name: alarm.trackName, artist: alarm.trackArtist, image: alarm.trackImage };
 
-    const trackArt = alarm.trackImage
-        ? `<img class="alarm-track-art" src="${alarm.trackImage}" alt="Album art" />`
+    const trackArt = pick.image
+        ? `<img class="alarm-track-art" src="${pick.image}" alt="Album art" />`
         : `<div class="alarm-track-art-placeholder">🎵</div>`;
 
-    const trackInfo = alarm.trackName
-        ? `<div class="alarm-track-name">♪ ${alarm.trackName} — ${alarm.trackArtist}</div>`
+    const trackInfo = pick.name
+        ? `<div class="alarm-track-name">${rotating ? '🔀 Next:' : '♪'} ${pick.name} — ${pick.artist}</div>
+          ${rotating ? `<div class="alarm-pool-count">${alarm.pool.length} in rotation</div>` : ''}`
         : `<div class="alarm-track-name" style="color:var(--text-muted);">No song selected</div>`;
 
     return `
-    <div class="alarm-card ${alarm.enabled ? '' : 'disabled'}" id="alarm-card-${alarm.id}">
+    <div class="alarm-card ${alarm.enabled ? '' : 'disabled'} ${paused ? 'paused' : ''}" id="alarm-card-${alarm.id}">
       ${trackArt}
       <div class="alarm-info">
-        <div class="alarm-time-display">${alarm.time}</div>
+        <div class="alarm-time-display">${alarm.time}${timeZone ? `<span class="alarm-zone">${formatZoneLabel(timeZone)}</span>` : ''}</div>
         ${alarm.label ? `<div class="alarm-label">${alarm.label}</div>` : ''}
         ${trackInfo}
-        ${alarm.days.length > 0 ? `<div class="alarm-days">${daysHtml}</div>` : ''}
+        ${snoozeHtml}
+        ${repeatText ? `<div class="alarm-repeat">${repeatText}${skipHtml}</div>` : ''}
+        ${skippingHtml}
+        ${daysHtml}
       </div>
       <div class="alarm-actions">
         <button class="alarm-delete-btn" id="alarm-delete-${alarm.id}" title="Delete alarm">
@@ -122,7 +273,178 @@ function renderAlarmCard(alarm) {
   `;
 }
 
+// Shown when stored alarms failed validation and were set aside
+function renderStorageNotice() {
+    const quarantined = getQuarantinedAlarms();
+    if (quarantined.length === 0) return '';
+
+    return `
+      <div class="missed-alarms storage-notice">
+        <div class="missed-alarms-header">
+          <span>⚠️ ${quarantined.length} saved alarm${quarantined.length === 1 ? '' : 's'} couldn't be read and ${quarantined.length === 1 ? 'was' : 'were'} set aside</span>
+        </div>
+        <div class="storage-notice-actions">
+          ${hasSnapshot() ? '<button class="editor-small-btn" id="storage-rollback">Restore previous version</button>' : ''}
+          <button class="editor-small-btn" id="storage-dismiss">Dismiss</button>
+        </div>
+      </div>
+    `;
+}
+
+function bindStorageNotice(rerender) {
+    const rollbackBtn = document.getElementById('storage-rollback');
+    if (rollbackBtn) {
+        rollbackBtn.addEventListener('click', () => {
+            if (!confirm('Replace your current alarms with the previously saved version?')) return;
+            rollbackAlarms();
+            clearQuarantine();
+            rerender();
+        });
+    }
+
+    const dismissBtn = document.getElementById('storage-dismiss');
+    if (dismissBtn) {
+        dismissBtn.addEventListener('click', () => {
+            clearQuarantine();
+            rerender();
+        });
+    }
+}
+
+function renderMissedAlarms(missed) {
+    if (missed.length === 0) return '';
+
+    const items = [...missed].reverse().map(m => {
+        const when = new Date(m.scheduledAt).toLocaleString('en-US', {
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false,
+        });
+        return `
+        <div class="missed-alarm">
+          <span class="missed-alarm-text">${m.label || 'Alarm'} — ${when}</span>
+          <button class="missed-alarm-dismiss" data-id="${m.id}" title="Dismiss">✕</button>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="missed-alarms">
+        <div class="missed-alarms-header">
+          <span>⚠️ ${missed.length} missed alarm${missed.length === 1 ? '' : 's'}</span>
+          <button class="missed-alarms-clear" id="missed-alarms-clear">Clear all</button>
+        </div>
+        ${items}
+      </div>
+    `;
+}
+
+// With no groups defined this is the plain flat list
+function renderGroupedAlarms(sorted, paused) {
+    const groups = getGroups();
+    const renderList = (alarms) => `
+        <div class="alarm-list">
+          ${alarms.map(alarm => renderAlarmCard(alarm, paused)).join('')}
+        </div>
+    `;
+
+    if (groups.length === 0) return renderList(sorted);
+
+    const groupIds = new Set(groups.map(g => g.id));
+    const ungrouped = sorted.filter(a => !groupIds.has(a.groupId));
+
+    const sections = groups.map(group => {
+        const members = sorted.filter(a => a.groupId === group.id);
+        const active = members.filter(a => a.enabled).length;
+        const allOn = members.length > 0 && active === members.length;
+
+        return `
+        <div class="alarm-group">
+          <div class="alarm-group-header">
+            <div class="alarm-group-name">${group.name}</div>
+            <div class="alarm-group-meta">
+              <span class="alarm-group-count">${active}/${members.length} active</span>
+              <button class="group-delete-btn" data-group="${group.id}" data-name="${group.name}" title="Delete group">✕</button>
+              <label class="toggle group-toggle" title="${allOn ? 'Disable' : 'Enable'} all alarms in this group">
+                <input type="checkbox" data-group="${group.id}" ${allOn ? 'checked' : ''} ${members.length === 0 ? 'disabled' : ''} />
+                <span class="toggle-slider"></span>
+              </label>
+            </div>
+          </div>
+          ${members.length > 0 ? renderList(members) : '<div class="alarm-group-empty">No alarms in this group yet</div>'}
+        </div>
+      `;
+    });
+
+    if (ungrouped.length > 0) {
+        sections.push(`
+        <div class="alarm-group">
+          <div class="alarm-group-header">
+            <div class="alarm-group-name">Other</div>
+          </div>
+          ${renderList(ungrouped)}
+        </div>
+      `);
+    }
+
+    return sections.join('');
+}
+
+function renderPauseBanner(pauseUntil) {
+    if (!pauseUntil) return '';
+    return `
+      <div class="pause-banner">
+        <span>⏸ All alarms paused until ${formatPauseUntil(pauseUntil)}</span>
+        <button class="editor-small-btn" id="alarm-resume-btn">Resume now</button>
+      </div>
+    `;
+}
+
+// Tomorrow at the same time, in the format datetime-local expects
+function defaultPauseValue() {
+    const date = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    date.setSeconds(0, 0);
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatShortDate(key) {
+    return parseDateKey(key).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+// --- Snooze Countdown ---
+
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+function startSnoozeCountdown() {
+    if (!document.querySelector('.alarm-snooze-countdown')) return;
+
+    snoozeTimerId = setInterval(() => {
+        document.querySelectorAll('.alarm-snooze-countdown').forEach(el => {
+            el.textContent = formatCountdown(Number(el.dataset.until) - Date.now());
+        });
+    }, 1000);
+}
+
+function stopSnoozeCountdown() {
+    if (snoozeTimerId) {
+        clearInterval(snoozeTimerId);
+        snoozeTimerId = null;
+    }
+}
+
 export function destroyAlarmList() {
+    stopSnoozeCountdown();
+    if (unsubscribeChanges) {
+        unsubscribeChanges();
+        unsubscribeChanges = null;
+    }
     const fab = document.getElementById('add-alarm-fab');
     if (fab) fab.remove();
 }
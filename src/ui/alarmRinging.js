@@ -5,7 +5,7 @@
 import { snoozeAlarm, dismissAlarm } from '../alarms.js';
 import { stopAlarmSound } from '../alarmSound.js';
 
-export function renderRingingOverlay(container, alarm, onDismiss) {
+export function renderRingingOverlay(container, alarm, { pending = 0, stage = '', onDismiss }) {
   const now = new Date();
   const timeStr = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
 
@@ -16,10 +16,13 @@ export function renderRingingOverlay(container, alarm, onDismiss) {
   container.innerHTML = `
     <div class="ringing-content">
       <div class="ringing-label">${alarm.label || 'Alarm'}</div>
+      ${pending > 0 ? `<div class="ringing-pending">+${pending} more alarm${pending === 1 ? '' : 's'} waiting</div>` : ''}
       ${art}
+      <div class="ringing-stage" id="ringing-stage" ${stage ? '' : 'style="display:none;"'}>📈 ${stage}</div>
       <div class="ringing-time">${timeStr}</div>
       <div class="ringing-track-name">${alarm.trackName || 'No song'}</div>
       <div class="ringing-track-artist">${alarm.trackArtist || ''}</div>
+      ${alarm.pool?.length > 1 ? `<div class="ringing-pending">🔀 Picked from ${alarm.pool.length} in rotation</div>` : ''}
       <div class="ringing-actions">
         <button class="ringing-btn ringing-btn-snooze" id="ringing-snooze">Snooze (5 min)</button>
         <button class="ringing-btn ringing-btn-dismiss" id="ringing-dismiss">Dismiss</button>
@@ -34,18 +37,26 @@ export function renderRingingOverlay(container, alarm, onDismiss) {
     await dismissAlarm();
     container.style.display = 'none';
     container.innerHTML = '';
-    onDismiss();
+    onDismiss('dismiss');
   });
 
-  document.getElementById('ringing-snooze').addEventListener('click', () => {
+  document.getElementById('ringing-snooze').addEventListener('click', async () => {
     stopAlarmSound();
-    snoozeAlarm(alarm.id, 5);
+    await snoozeAlarm(alarm.id, 5);
     container.style.display = 'none';
     container.innerHTML = '';
-    onDismiss();
+    onDismiss('snooze');
   });
 }
 
+// Escalation stage reached while the overlay is up
+export function showRingingStage(stage) {
+  const el = document.getElementById('ringing-stage');
+  if (!el) return;
+  el.textContent = `📈 ${stage}`;
+  el.style.display = '';
+}
+
 export function hideRingingOverlay(container) {
   container.style.display = 'none';
   container.innerHTML = '';
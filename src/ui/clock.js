@@ -2,10 +2,19 @@
 // Clock Display
 // ============================================
 
-import { getAlarms, getNextAlarmTime, formatTimeUntil } from '../alarms.js';
+import {
+    getAlarms, getNextAlarmTime, formatTimeUntil, getPauseUntil, formatPauseUntil,
+    getAlarmTimeZone, formatZoneLabel, onAlarmsChanged,
+} from '../alarms.js';
 
 let animFrameId = null;
 let lastSecond = -1;
+let unsubscribeChanges = null;
+
+// Finding the next alarm can walk a year of days per alarm, so the result
+// is kept until the store changes, the minute turns or the alarm passes
+let nextAlarm = null;
+let nextAlarmStale = true;
 
 // Cache element references to avoid DOM lookups every frame
 let elH = null;
@@ -38,7 +47,15 @@ export function renderClock(container) {
     elNextAlarmText = document.getElementById('next-alarm-text');
 
     lastSecond = -1;
+    nextAlarmStale = true;
     tick();
+
+    // Refresh the next-alarm line straight away when any tab edits alarms
+    if (unsubscribeChanges) unsubscribeChanges();
+    unsubscribeChanges = onAlarmsChanged(() => {
+        nextAlarmStale = true;
+        updateNextAlarm(new Date());
+    });
 }
 
 function tick() {
@@ -66,26 +83,63 @@ function tick() {
             });
         }
 
+        if (currentSecond === 0 || (nextAlarm && nextAlarm.time <= now)) {
+            nextAlarmStale = true;
+        }
+
         // Update next alarm display every 30 seconds to avoid unnecessary work
-        if (elNextAlarmDisplay && elNextAlarmText && (currentSecond % 30 === 0 || currentSecond === lastSecond)) {
-            const next = getNextAlarmTime(getAlarms());
-            if (next) {
-                elNextAlarmDisplay.style.display = '';
-                elNextAlarmText.textContent = `Next alarm in ${formatTimeUntil(next.diff)} — ${next.alarm.time}`;
-            } else {
-                elNextAlarmDisplay.style.display = 'none';
-            }
+        if (nextAlarmStale || currentSecond % 30 === 0) {
+            updateNextAlarm(now);
         }
     }
 
     animFrameId = requestAnimationFrame(tick);
 }
 
+function updateNextAlarm(now) {
+    if (!elNextAlarmDisplay || !elNextAlarmText) return;
+
+    const pauseUntil = getPauseUntil();
+    if (nextAlarmStale) {
+        nextAlarm = pauseUntil ? null : getNextAlarmTime(getAlarms());
+        nextAlarmStale = false;
+    }
+    const next = nextAlarm;
+    if (pauseUntil) {
+        elNextAlarmDisplay.style.display = '';
+        elNextAlarmText.textContent = `Alarms paused until ${formatPauseUntil(pauseUntil)}`;
+    } else if (next) {
+        elNextAlarmDisplay.style.display = '';
+        // Name the day when the next ring isn't today (e.g. after a skip)
+        const day = next.time.toDateString() === now.toDateString()
+            ? ''
+            : `${next.time.toLocaleDateString('en-US', { weekday: 'short' })} `;
+        elNextAlarmText.textContent = `Next alarm in ${formatTimeUntil(next.time - now)} — ${day}${describeNextTime(next)}`;
+    } else {
+        elNextAlarmDisplay.style.display = 'none';
+    }
+}
+
+// Pinned alarms show their zone, plus the device time when it differs
+function describeNextTime(next) {
+    const timeZone = getAlarmTimeZone(next.alarm);
+    const local = `${next.time.getHours().toString().padStart(2, '0')}:${next.time.getMinutes().toString().padStart(2, '0')}`;
+    if (!timeZone) return local;
+    if (local === next.alarm.time) return `${next.alarm.time} ${formatZoneLabel(timeZone)}`;
+    return `${local} here (${next.alarm.time} ${formatZoneLabel(timeZone)})`;
+}
+
 export function destroyClock() {
     if (animFrameId) {
         cancelAnimationFrame(animFrameId);
         animFrameId = null;
     }
+    if (unsubscribeChanges) {
+        unsubscribeChanges();
+        unsubscribeChanges = null;
+    }
     lastSecond = -1;
+    nextAlarm = null;
+    nextAlarmStale = true;
     elH = elM = elS = elDate = elNextAlarmDisplay = elNextAlarmText = null;
 }